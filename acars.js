@@ -0,0 +1,211 @@
+// acars.js — Decoding layer for common ACARS labels
+// Turns acars.{label,msg_text} into a structured `decoded` object:
+//   { label, description, kind, fields }
+// kind: "oooi" | "position" | "weather" | "pdc" | "free_text" | "link" | "empty"
+
+/* =========================
+   Label table
+   ========================= */
+export const LABELS = {
+  "_d": "General response / no info",
+  "_j": "No info to transmit",
+  "Q0": "Link test",
+  "QP": "OUT report",
+  "QQ": "OFF report",
+  "QR": "ON report",
+  "QS": "IN report",
+  "QT": "OUT / return IN report",
+  "QA": "OFF report with fuel",
+  "QB": "OFF report (alt.)",
+  "QC": "ON report (alt.)",
+  "QD": "IN report with fuel",
+  "QE": "OUT report with fuel",
+  "QF": "OFF report with destination",
+  "QG": "OUT / return IN (alt.)",
+  "QK": "Landing report",
+  "QL": "Arrival report",
+  "QM": "Arrival information",
+  "QN": "Diversion report",
+  "10": "Weather request",
+  "15": "FANS-1/A position report",
+  "16": "Automatic position report",
+  "20": "Position / fuel report",
+  "21": "Position report",
+  "22": "Position report (alt.)",
+  "2Z": "Progress report",
+  "30": "Position report (airline)",
+  "44": "Position report",
+  "4A": "Pre-departure clearance",
+  "5D": "ATIS request",
+  "5U": "Weather request",
+  "5Z": "Airline designated downlink",
+  "80": "Airline designated",
+  "A6": "ADS-C request",
+  "A9": "ATIS report",
+  "AA": "ATC communications (CPDLC)",
+  "B6": "ADS-C report",
+  "BA": "ATC communications (CPDLC)",
+  "C1": "Uplink to cockpit printer",
+  "H1": "Message to/from terminal",
+  "RA": "Command / uplink to printer",
+  "SA": "Media advisory",
+  "SQ": "Squitter / ground station",
+};
+
+const OOOI_LABELS = {
+  QP: "out", QE: "out", QT: "out", QG: "out",
+  QQ: "off", QA: "off", QB: "off", QF: "off",
+  QR: "on",  QC: "on",  QK: "on",
+  QS: "in",  QD: "in",  QL: "in",
+};
+const POSITION_LABELS = new Set(["15", "16", "20", "21", "22", "2Z", "30", "44"]);
+const WEATHER_LABELS = new Set(["10", "5D", "5U", "A9"]);
+const PDC_LABELS = new Set(["4A"]);
+
+/* =========================
+   Field parsers
+   ========================= */
+const round = (n) => Math.round(n * 100000) / 100000;
+
+// Accepts N4212.3W07123.4 (deg+min), N42123W071234 (deg+thousandths)
+// and N 42.123,W 71.234 (decimal degrees)
+export function parsePosition(text) {
+  if (!text) return null;
+  const forms = [
+    // degrees + decimal minutes
+    [/([NS])\s?(\d{2})(\d{2}\.\d+)\s*,?\s*([EW])\s?(\d{3})(\d{2}\.\d+)/,
+      (m) => [Number(m[2]) + Number(m[3]) / 60, Number(m[5]) + Number(m[6]) / 60]],
+    // explicit decimal degrees
+    [/([NS])\s?(\d{1,2}\.\d+)\s*,?\s*([EW])\s?(\d{1,3}\.\d+)/,
+      (m) => [Number(m[2]), Number(m[4])], [1, 3]],
+    // packed degrees + thousandths
+    [/([NS])\s?(\d{2})(\d{3})\s*,?\s*([EW])\s?(\d{3})(\d{3})(?!\d)/,
+      (m) => [Number(m[2]) + Number(m[3]) / 1000, Number(m[5]) + Number(m[6]) / 1000]],
+  ];
+  for (const [re, toDeg, hemi = [1, 4]] of forms) {
+    const m = text.match(re);
+    if (!m) continue;
+    let [lat, lon] = toDeg(m);
+    if (m[hemi[0]] === "S") lat = -lat;
+    if (m[hemi[1]] === "W") lon = -lon;
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) continue;
+
+    const alt = text.match(/\bFL\s?(\d{2,3})\b/) || text.match(/\bALT\s?(\d{3,5})\b/);
+    return {
+      lat: round(lat),
+      lon: round(lon),
+      alt: alt ? (alt[0].startsWith("FL") ? Number(alt[1]) * 100 : Number(alt[1])) : null,
+    };
+  }
+  return null;
+}
+
+// OOOI events as written in free text ("OUT 1234 OFF 1242") or the
+// fixed ARINC layout: origin(4) dest(4) time(4)
+function parseOooi(text, label) {
+  const fields = { event: OOOI_LABELS[label] || null };
+  const events = {};
+  for (const m of text.matchAll(/\b(OUT|OFF|ON|IN)\s*[:/]?\s*(\d{4})\b/g)) {
+    events[m[1].toLowerCase()] = `${m[2].slice(0, 2)}:${m[2].slice(2)}`;
+  }
+  if (Object.keys(events).length) fields.times = events;
+
+  const fixed = text.match(/^\s*([A-Z]{4})\s?([A-Z]{4})\s?(\d{4})/);
+  if (fixed) {
+    fields.origin = fixed[1];
+    fields.destination = fixed[2];
+    if (fields.event && !events[fields.event]) {
+      fields.times = { ...events, [fields.event]: `${fixed[3].slice(0, 2)}:${fixed[3].slice(2)}` };
+    }
+  }
+  const fuel = text.match(/\bFOB\s?(\d{2,6})\b/);
+  if (fuel) fields.fuelOnBoard = Number(fuel[1]);
+  return fields;
+}
+
+function parseWeather(text) {
+  const fields = {};
+  const reports = [...text.matchAll(/\b(METAR|SPECI|TAF)\s+([A-Z]{4})\s+([^=]*?)(?==|$|\b(?:METAR|SPECI|TAF)\b)/gs)]
+    .map((m) => ({ type: m[1], station: m[2], report: m[3].trim() }));
+  if (reports.length) fields.reports = reports;
+
+  const atis = text.match(/\b([A-Z]{4})\s+(?:ARR\s+|DEP\s+)?ATIS\s+(?:INFO(?:RMATION)?\s+)?([A-Z])\b/);
+  if (atis) fields.atis = { airport: atis[1], code: atis[2] };
+
+  if (!reports.length && !atis) {
+    const stations = [...text.matchAll(/\b([A-Z]{4})\b/g)].map((m) => m[1]);
+    if (/\b(REQ|WX|METAR)\b/.test(text) && stations.length) fields.requested = [...new Set(stations)];
+  }
+  return fields;
+}
+
+function parsePdc(text) {
+  const pick = (re) => text.match(re)?.[1] ?? null;
+  return {
+    destination:   pick(/CLEARED\s+TO\s+(?:THE\s+)?([A-Z]{3,4})\b/),
+    route:         pick(/\bVIA\s+([A-Z0-9 .\/]+?)\s*(?:\s{2,}|\n|\b(?:MAINT|CLIMB|EXPECT|RWY|SQUAWK|SQK|DEP(?:ARTURE)?\s+FREQ)\b|$)/),
+    sid:           pick(/\b([A-Z]{3,6}\d[A-Z]?)\s+DEP(?:ARTURE)?\b/),
+    runway:        pick(/\bRWY\s*([0-9]{2}[LRC]?)\b/),
+    initialAlt:    pick(/\b(?:MAINT(?:AIN)?|CLIMB\s+VIA\s+SID\s+EXCEPT\s+MAINT(?:AIN)?)\s+(FL\s?\d{2,3}|\d{3,5}(?:FT)?)\b/),
+    squawk:        pick(/\b(?:SQUAWK|SQWK|SQK|XPDR|CODE)\s*([0-7]{4})\b/),
+    departureFreq: pick(/\bDEP(?:ARTURE)?\s+FREQ(?:UENCY)?\s*(?:IS\s+)?(\d{3}\.\d{1,3})/),
+  };
+}
+
+const isPdcText = (text) =>
+  /\b(PDC|PRE-?DEPARTURE CLEARANCE)\b/.test(text) ||
+  (/\bCLEARED\s+TO\b/.test(text) && /\b(SQUAWK|SQWK|SQK|XPDR)\b/.test(text));
+
+const isWeatherText = (text) => /\b(METAR|SPECI|TAF)\s+[A-Z]{4}\b|\bATIS\b/.test(text);
+
+/* =========================
+   Entry point
+   ========================= */
+export function decodeAcars(acars) {
+  if (!acars || typeof acars !== "object") return null;
+  const label = (acars.label || "").toUpperCase();
+  const text = (acars.msg_text || "").toString();
+  const decoded = { label, description: LABELS[label] || "Unknown label", kind: "free_text", fields: {} };
+
+  if (label === "_D" || label === "_J") {
+    decoded.label = label.toLowerCase();
+    decoded.description = LABELS[decoded.label];
+    decoded.kind = "empty";
+    return decoded;
+  }
+  if (label === "Q0" || label === "SQ") {
+    decoded.kind = "link";
+    if (text) decoded.fields.text = text;
+    return decoded;
+  }
+  if (!text) {
+    decoded.kind = "empty";
+    return decoded;
+  }
+
+  if (OOOI_LABELS[label]) {
+    decoded.kind = "oooi";
+    decoded.fields = parseOooi(text, label);
+  } else if (PDC_LABELS.has(label) || isPdcText(text)) {
+    decoded.kind = "pdc";
+    decoded.fields = parsePdc(text);
+  } else if (WEATHER_LABELS.has(label) || isWeatherText(text)) {
+    decoded.kind = "weather";
+    decoded.fields = parseWeather(text);
+  } else {
+    const position = parsePosition(text);
+    if (position && (POSITION_LABELS.has(label) || /\bPOS/.test(text))) {
+      decoded.kind = "position";
+      decoded.fields = { position };
+    } else {
+      decoded.fields = { text };
+      if (position) decoded.fields.position = position;
+    }
+  }
+
+  // Drop parsers' empty slots so the UI only shows what was found
+  for (const [k, v] of Object.entries(decoded.fields)) {
+    if (v === null || v === undefined) delete decoded.fields[k];
+  }
+  return decoded;
+}
@@ -0,0 +1,118 @@
+// aircraft.js — Live per-aircraft table keyed by normalized ICAO hex
+// Tracks first/last seen, message counts, flights and the latest position
+// carried by ADS-C / XID / CPDLC content, with expiry of stale entries.
+
+import express from "express";
+import { normalizeHex, packetHex, classifyFrame } from "./util.js";
+
+const isCoord = (v, max) => typeof v === "number" && Number.isFinite(v) && Math.abs(v) <= max;
+
+// Depth-first search for the first { lat, lon } object in a decoded packet
+export function findPosition(node, depth = 0) {
+  if (!node || typeof node !== "object" || depth > 12) return null;
+  if (isCoord(node.lat, 90) && isCoord(node.lon, 180)) {
+    return { lat: node.lat, lon: node.lon, alt: typeof node.alt === "number" ? node.alt : null };
+  }
+  // XID frames wrap the location: ac_location: { loc: { lat, lon }, alt }
+  if (node.loc && isCoord(node.loc.lat, 90) && isCoord(node.loc.lon, 180)) {
+    return { lat: node.loc.lat, lon: node.loc.lon, alt: typeof node.alt === "number" ? node.alt : null };
+  }
+  for (const value of Object.values(node)) {
+    const found = findPosition(value, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+export function createAircraftTracker({ ttlMs = 3600000, historySize = 50 } = {}) {
+  const aircraft = new Map(); // hex -> entry
+
+  function update(pkt) {
+    const hex = packetHex(pkt);
+    if (!hex) return null;
+    const acars = pkt.vdl2?.avlc?.acars || {};
+    const now = Date.now();
+    const time = pkt.timestamp_iso || new Date(now).toISOString();
+
+    let entry = aircraft.get(hex);
+    if (!entry) {
+      entry = {
+        hex,
+        firstSeen: time,
+        lastSeen: time,
+        lastSeenMs: now,
+        count: 0,
+        flights: [],
+        db: {},
+        position: null,
+        messages: [],
+      };
+      aircraft.set(hex, entry);
+    }
+
+    entry.lastSeen = time;
+    entry.lastSeenMs = now;
+    entry.count++;
+    if (pkt.db && Object.keys(pkt.db).length) entry.db = pkt.db;
+    if (acars.flight && !entry.flights.includes(acars.flight)) entry.flights.push(acars.flight);
+
+    // An uplink's XID location is the ground station's, not the aircraft's
+    const uplink = (pkt.direction ?? classifyFrame(pkt.vdl2?.avlc).direction) === "uplink";
+    const pos = (!uplink && findPosition(pkt.vdl2?.avlc)) || pkt.decoded?.fields?.position;
+    if (pos) entry.position = { ...pos, time };
+
+    entry.messages.unshift({
+      time,
+      flight: acars.flight || "",
+      label: acars.label || "",
+      text: acars.msg_text || "",
+    });
+    if (entry.messages.length > historySize) entry.messages.pop();
+    return entry;
+  }
+
+  function summary(entry) {
+    const { messages, lastSeenMs, ...rest } = entry;
+    return { ...rest, lastFlight: entry.flights[entry.flights.length - 1] || "" };
+  }
+
+  function list() {
+    return [...aircraft.values()]
+      .sort((a, b) => b.lastSeenMs - a.lastSeenMs)
+      .map(summary);
+  }
+
+  function get(hex) {
+    const entry = aircraft.get(normalizeHex(hex));
+    if (!entry) return null;
+    const { lastSeenMs, ...rest } = entry;
+    return rest;
+  }
+
+  function prune() {
+    const cutoff = Date.now() - ttlMs;
+    let removed = 0;
+    for (const [hex, entry] of aircraft) {
+      if (entry.lastSeenMs < cutoff) {
+        aircraft.delete(hex);
+        removed++;
+      }
+    }
+    return removed;
+  }
+  setInterval(prune, 60_000).unref();
+
+  /* ---------- /api/aircraft routes ---------- */
+  const router = express.Router();
+  router.get("/", (req, res) => {
+    const items = list();
+    res.json({ count: items.length, aircraft: items });
+  });
+  router.get("/:hex", (req, res) => {
+    const entry = get(req.params.hex);
+    if (!entry) return res.status(404).json({ error: "Aircraft not tracked" });
+    res.json(entry);
+  });
+
+  return { update, list, get, prune, router };
+}
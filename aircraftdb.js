@@ -0,0 +1,458 @@
+// aircraftdb.js — aircraft.db lookups, local overrides and dump imports
+// The `aircraft` table holds the bulk database (basic-ac-db layout). The
+// `aircraft_overrides` table holds operator corrections and additions; its
+// non-empty fields win over the bulk row, so a hex missing from the dump can
+// still be enriched.
+//
+// Import formats (auto-detected from the first line, or forced):
+//   json     basic-ac-db NDJSON ({"icao":"a0b1c2","reg":…} per line) or a JSON array;
+//            readsb-style keys (r, t, desc, dbFlags) are accepted too
+//   csv      header row, comma or semicolon separated (e.g. OpenSky aircraftDatabase.csv)
+//   tar1090  tar1090-db aircraft.csv: icao;reg;type;flags;description;year;ownop (no header)
+// Empty source fields never clear existing data.
+
+import path from "node:path";
+import readline from "node:readline";
+import zlib from "node:zlib";
+import Database from "better-sqlite3";
+import express from "express";
+import { normalizeHex } from "./util.js";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS aircraft (
+    icao TEXT PRIMARY KEY, reg TEXT, icaotype TEXT, year TEXT, manufacturer TEXT, model TEXT,
+    ownop TEXT, faa_pia INTEGER, faa_ladd INTEGER, short_type TEXT, mil INTEGER
+  );
+  CREATE TABLE IF NOT EXISTS aircraft_overrides (
+    icao       TEXT PRIMARY KEY,
+    reg        TEXT,
+    icaotype   TEXT,
+    ownop      TEXT,
+    tags       TEXT,                     -- JSON array of strings
+    note       TEXT,
+    updated_at TEXT NOT NULL,
+    updated_by TEXT
+  );
+`;
+
+const OVERRIDE_COLUMNS = ["icao", "reg", "icaotype", "ownop", "tags", "note", "updated_at", "updated_by"];
+export const AIRCRAFT_FIELDS = ["reg", "icaotype", "year", "manufacturer", "model", "ownop", "faa_pia", "faa_ladd", "short_type", "mil"];
+const FLAG_FIELDS = ["faa_pia", "faa_ladd", "mil"];
+export const IMPORT_FORMATS = ["auto", "json", "csv", "tar1090"];
+
+const IMPORT_BATCH = 5000;
+const REPORT_SAMPLES = 50;        // added/changed/skipped rows listed in a report
+const MAX_TAGS = 20;
+
+/* =========================
+   Dump parsing
+   ========================= */
+// Source column/key → aircraft field; the first non-empty alias wins
+const FIELD_ALIASES = {
+  icao:         ["icao", "icao24", "hex", "icao_hex", "modes", "mode_s"],
+  reg:          ["reg", "registration", "r"],
+  icaotype:     ["icaotype", "typecode", "type", "t", "icao_type"],
+  year:         ["year", "built", "year_built"],
+  manufacturer: ["manufacturer", "manufacturername", "manufacturer_name"],
+  model:        ["model", "desc", "description", "long_type_name"],
+  ownop:        ["ownop", "owner_operator", "operator", "owner"],
+  short_type:   ["short_type", "icaoaircrafttype", "aircraft_class"],
+  mil:          ["mil", "military"],
+  faa_pia:      ["faa_pia", "pia"],
+  faa_ladd:     ["faa_ladd", "ladd"],
+};
+
+const truthy = (v) => v === true || v === 1 || ["1", "true", "t", "y", "yes"].includes(String(v).trim().toLowerCase());
+
+// Quote-aware split of one CSV line ("" inside quotes is a literal quote)
+function splitCsvLine(line, sep) {
+  const out = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === sep) {
+      out.push(field);
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  out.push(field);
+  return out;
+}
+
+function detectFormat(line) {
+  if (line.startsWith("{") || line.startsWith("[")) return "json";
+  const first = line.split(";")[0];
+  if (line.includes(";") && /^~?[0-9a-fA-F]{6}$/.test(first)) return "tar1090";
+  return "csv";
+}
+
+// Yields plain source objects (or { __error }) from a text stream
+export async function* parseDump(input, format = "auto") {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let mode = format === "auto" ? null : format;
+  let header = null;
+  let sep = ",";
+  let jsonArray = null;
+  let lineNo = 0;
+
+  for await (const raw of lines) {
+    lineNo++;
+    const line = (lineNo === 1 ? raw.replace(/^\uFEFF/, "") : raw).trim();
+    if (!line) continue;
+    mode ??= detectFormat(line);
+
+    if (mode === "json") {
+      // A JSON array is parsed whole at the end; NDJSON line by line
+      if (jsonArray || line.startsWith("[")) {
+        (jsonArray ??= []).push(raw);
+        continue;
+      }
+      try {
+        yield JSON.parse(line.replace(/,$/, ""));
+      } catch (_) {
+        yield { __error: `line ${lineNo}: invalid JSON` };
+      }
+    } else if (mode === "tar1090") {
+      const [icao, reg, icaotype, flags, model, year, ownop] = splitCsvLine(line, ";");
+      yield { icao, reg, icaotype, flags, model, year, ownop };
+    } else if (!header) {
+      sep = line.includes(";") && !line.includes(",") ? ";" : ",";
+      header = splitCsvLine(line, sep).map((h) => h.trim().toLowerCase());
+    } else {
+      const fields = splitCsvLine(line, sep);
+      yield Object.fromEntries(header.map((h, i) => [h, fields[i]]));
+    }
+  }
+
+  if (jsonArray) {
+    let list;
+    try {
+      list = JSON.parse(jsonArray.join("\n"));
+    } catch (err) {
+      throw new Error(`Invalid JSON array: ${err.message}`);
+    }
+    if (!Array.isArray(list)) throw new Error("JSON dump must be an array or one object per line");
+    yield* list;
+  }
+}
+
+// Source object → { icao, ...fields present in the source }; throws if unusable
+export function normalizeRecord(src) {
+  if (!src || typeof src !== "object") throw new Error("not an object");
+  const lower = {};
+  for (const [k, v] of Object.entries(src)) lower[k.toLowerCase()] = v;
+  const pick = (aliases) => {
+    for (const a of aliases) {
+      const v = lower[a];
+      if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+    }
+    return undefined;
+  };
+
+  const rawIcao = String(pick(FIELD_ALIASES.icao) ?? "").trim();
+  if (!/^[0-9a-fA-F]{6}$/.test(rawIcao)) throw new Error(`bad icao '${rawIcao}'`);
+  const rec = { icao: normalizeHex(rawIcao) };
+
+  for (const field of AIRCRAFT_FIELDS) {
+    const v = pick(FIELD_ALIASES[field]);
+    if (v === undefined) continue;
+    if (FLAG_FIELDS.includes(field)) rec[field] = truthy(v) ? 1 : 0;
+    else if (field === "year") {
+      const m = /\d{4}/.exec(String(v));
+      if (m) rec.year = m[0];
+    } else rec[field] = String(v).trim();
+  }
+
+  // readsb dbFlags bitfield: 1 military, 2 interesting, 4 PIA, 8 LADD
+  if (lower.dbflags !== undefined && lower.dbflags !== "") {
+    const bits = Number(lower.dbflags) || 0;
+    rec.mil ??= bits & 1 ? 1 : 0;
+    rec.faa_pia ??= bits & 4 ? 1 : 0;
+    rec.faa_ladd ??= bits & 8 ? 1 : 0;
+  }
+  // tar1090-db flags string: military, interesting, PIA, LADD as 0/1 digits
+  if (typeof lower.flags === "string" && /^[01]{1,4}$/.test(lower.flags)) {
+    const f = lower.flags;
+    rec.mil ??= f[0] === "1" ? 1 : 0;
+    if (f.length > 2) rec.faa_pia ??= f[2] === "1" ? 1 : 0;
+    if (f.length > 3) rec.faa_ladd ??= f[3] === "1" ? 1 : 0;
+  }
+  return rec;
+}
+
+/* =========================
+   Override validation
+   ========================= */
+function validateOverride(body) {
+  if (!body || typeof body !== "object") throw new Error("Override must be an object");
+  const text = (key, max, re) => {
+    const v = (body[key] ?? "").toString().trim();
+    if (v.length > max) throw new Error(`'${key}' is too long (max ${max})`);
+    if (v && re && !re.test(v)) throw new Error(`Invalid '${key}'`);
+    return v || null;
+  };
+  const out = {
+    reg: text("reg", 16, /^[A-Za-z0-9-]+$/),
+    icaotype: text("icaotype", 8, /^[A-Za-z0-9]+$/),
+    ownop: text("ownop", 128),
+    note: text("note", 500),
+  };
+  if (out.icaotype) out.icaotype = out.icaotype.toUpperCase();
+  if (out.reg) out.reg = out.reg.toUpperCase();
+
+  const rawTags = Array.isArray(body.tags) ? body.tags : (body.tags ?? "").toString().split(",");
+  const tags = [...new Set(rawTags.map((t) => t.toString().trim()).filter(Boolean))];
+  if (tags.length > MAX_TAGS) throw new Error(`At most ${MAX_TAGS} tags`);
+  if (tags.some((t) => t.length > 32)) throw new Error("Tags are at most 32 characters");
+  out.tags = tags.length ? tags : null;
+
+  if (!out.reg && !out.icaotype && !out.ownop && !out.note && !out.tags) {
+    throw new Error("Give at least one of reg, icaotype, ownop, tags, note");
+  }
+  return out;
+}
+
+/* =========================
+   Database
+   ========================= */
+// Opening doesn't write: an operator's existing aircraft.db is left as it is
+// until something is written to it (an override, the unknown registry, an
+// import), and writable() then switches it to WAL and adds the missing
+// tables. Until then a missing table reads as empty. fileMustExist makes a
+// missing file an error instead of creating an empty database.
+export function openAircraftDb(dbPath, { fileMustExist = false } = {}) {
+  const db = new Database(dbPath, { fileMustExist });
+  const hasTable = (name) => !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(name);
+  const table = (name, columns) =>
+    hasTable(name) ? name : `(SELECT ${columns.map((c) => `NULL AS ${c}`).join(", ")} WHERE 0)`;
+
+  let stmt;
+  function prepareReads() {
+    const aircraft = table("aircraft", ["icao", ...AIRCRAFT_FIELDS]);
+    const overrides = table("aircraft_overrides", OVERRIDE_COLUMNS);
+    // Overrides first: their non-empty fields win, and they alone are enough for a match
+    stmt = {
+      lookup: db.prepare(`
+        SELECT COALESCE(a.icao, o.icao)                    AS icao,
+               COALESCE(NULLIF(o.reg, ''), a.reg)           AS reg,
+               COALESCE(NULLIF(o.icaotype, ''), a.icaotype) AS icaotype,
+               a.year, a.manufacturer, a.model,
+               COALESCE(NULLIF(o.ownop, ''), a.ownop)       AS ownop,
+               a.faa_pia, a.faa_ladd, a.short_type, a.mil,
+               o.tags, o.note, o.icao IS NOT NULL           AS overridden
+        FROM (SELECT ? AS icao) q
+        LEFT JOIN ${aircraft} a  ON a.icao = q.icao
+        LEFT JOIN ${overrides} o ON o.icao = q.icao
+        WHERE a.icao IS NOT NULL OR o.icao IS NOT NULL
+      `),
+      base: db.prepare(`SELECT * FROM ${aircraft} WHERE icao = ?`),
+      override: db.prepare(`SELECT * FROM ${overrides} WHERE icao = ?`),
+      overrides: db.prepare(`SELECT * FROM ${overrides} ORDER BY updated_at DESC`),
+      countAircraft: db.prepare(`SELECT COUNT(*) AS n FROM ${aircraft}`),
+      countOverrides: db.prepare(`SELECT COUNT(*) AS n FROM ${overrides}`),
+    };
+  }
+  prepareReads();
+
+  let writes = null;
+  function writable() {
+    if (writes) return writes;
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+    prepareReads();
+    writes = {
+      upsertOverride: db.prepare(`
+        INSERT INTO aircraft_overrides (icao, reg, icaotype, ownop, tags, note, updated_at, updated_by)
+        VALUES (@icao, @reg, @icaotype, @ownop, @tags, @note, @updated_at, @updated_by)
+        ON CONFLICT(icao) DO UPDATE SET reg = excluded.reg, icaotype = excluded.icaotype, ownop = excluded.ownop,
+          tags = excluded.tags, note = excluded.note, updated_at = excluded.updated_at, updated_by = excluded.updated_by
+      `),
+      deleteOverride: db.prepare(`DELETE FROM aircraft_overrides WHERE icao = ?`),
+    };
+    return writes;
+  }
+
+  // The bulk upsert needs icao to be unique; an aircraft table built by other
+  // tooling may not have declared it, so add the index the first time
+  let upsertAircraft = null;
+  function aircraftUpsert() {
+    if (upsertAircraft) return upsertAircraft;
+    writable();
+    const uniqueIcao = db.pragma("index_list(aircraft)").some((idx) => {
+      if (!idx.unique) return false;
+      const cols = db.pragma(`index_info("${idx.name.replace(/"/g, '""')}")`);
+      return cols.length === 1 && cols[0].name === "icao";
+    });
+    if (!uniqueIcao) {
+      try {
+        db.exec(`CREATE UNIQUE INDEX aircraft_icao ON aircraft (icao)`);
+      } catch (err) {
+        throw new Error(`aircraft.icao isn't unique in ${path.basename(dbPath)} (${err.message}); remove the duplicate rows first`);
+      }
+      console.log(`🗃️  Added a unique index on aircraft.icao in ${path.basename(dbPath)}`);
+    }
+    upsertAircraft = db.prepare(`
+      INSERT INTO aircraft (icao, ${AIRCRAFT_FIELDS.join(", ")})
+      VALUES (@icao, ${AIRCRAFT_FIELDS.map((f) => `@${f}`).join(", ")})
+      ON CONFLICT(icao) DO UPDATE SET ${AIRCRAFT_FIELDS.map((f) => `${f} = excluded.${f}`).join(", ")}
+    `);
+    return upsertAircraft;
+  }
+
+  const parseOverride = (row) => row && { ...row, tags: row.tags ? JSON.parse(row.tags) : [] };
+
+  function lookup(hex) {
+    const row = stmt.lookup.get(hex);
+    if (!row) return null;
+    return { ...row, tags: row.tags ? JSON.parse(row.tags) : [], overridden: !!row.overridden };
+  }
+
+  // Validated upsert shared by PUT /overrides/:hex and the unknown registry's
+  // promote action; throws on invalid input
+  function saveOverride(hex, input, username = null) {
+    const body = validateOverride(input);
+    const icao = normalizeHex(hex);
+    writable().upsertOverride.run({
+      icao,
+      ...body,
+      tags: body.tags ? JSON.stringify(body.tags) : null,
+      updated_at: new Date().toISOString(),
+      updated_by: username,
+    });
+    return parseOverride(stmt.override.get(icao));
+  }
+
+  const counts = () => ({
+    aircraft: stmt.countAircraft.get().n,
+    overrides: stmt.countOverrides.get().n,
+  });
+
+  /* ---------- Import ---------- */
+  // records: (async) iterable of source objects from parseDump()
+  async function importRecords(records, { format = "auto", dryRun = false } = {}) {
+    const started = Date.now();
+    const report = {
+      format, dryRun, read: 0, added: 0, changed: 0, unchanged: 0, skipped: 0,
+      fieldsChanged: {}, samples: { added: [], changed: [], skipped: [] },
+    };
+    const sample = (list, item) => { if (list.length < REPORT_SAMPLES) list.push(item); };
+    const stmtUpsert = dryRun ? null : aircraftUpsert();
+
+    const applyBatch = db.transaction((batch) => {
+      for (const rec of batch) {
+        const old = stmt.base.get(rec.icao);
+        if (!old) {
+          report.added++;
+          sample(report.samples.added, rec);
+          if (!dryRun) stmtUpsert.run({ ...Object.fromEntries(AIRCRAFT_FIELDS.map((f) => [f, null])), ...rec });
+          continue;
+        }
+        const changes = {};
+        for (const f of AIRCRAFT_FIELDS) {
+          if (rec[f] === undefined) continue;
+          const before = old[f] ?? null;
+          if (String(before ?? "") === String(rec[f])) continue;
+          changes[f] = { from: before, to: rec[f] };
+          report.fieldsChanged[f] = (report.fieldsChanged[f] || 0) + 1;
+        }
+        if (!Object.keys(changes).length) {
+          report.unchanged++;
+          continue;
+        }
+        report.changed++;
+        sample(report.samples.changed, { icao: rec.icao, changes });
+        if (!dryRun) stmtUpsert.run({ ...old, ...rec });
+      }
+    });
+
+    let batch = [];
+    for await (const src of records) {
+      report.read++;
+      try {
+        if (src?.__error) throw new Error(src.__error);
+        batch.push(normalizeRecord(src));
+      } catch (err) {
+        report.skipped++;
+        sample(report.samples.skipped, { record: report.read, reason: err.message });
+      }
+      if (batch.length >= IMPORT_BATCH) {
+        applyBatch(batch);
+        batch = [];
+        await new Promise((resolve) => setImmediate(resolve)); // let packets through between batches
+      }
+    }
+    if (batch.length) applyBatch(batch);
+
+    report.durationMs = Date.now() - started;
+    return report;
+  }
+
+  /* ---------- /api/aircraft-db routes ---------- */
+  const router = express.Router();
+  let importing = false;
+
+  router.get("/", (req, res) => res.json({ file: path.basename(dbPath), ...counts(), importing }));
+
+  router.get("/lookup/:hex", (req, res) => {
+    const hex = normalizeHex(req.params.hex);
+    res.json({
+      hex,
+      aircraft: stmt.base.get(hex) || null,
+      override: parseOverride(stmt.override.get(hex)) || null,
+      merged: lookup(hex),
+    });
+  });
+
+  router.get("/overrides", (req, res) => res.json(stmt.overrides.all().map(parseOverride)));
+
+  router.put("/overrides/:hex", express.json(), (req, res) => {
+    if (!/^[0-9a-fA-F]{6}$/.test(req.params.hex)) return res.status(400).json({ error: "Hex must be 6 hex digits" });
+    try {
+      res.json(saveOverride(req.params.hex, req.body, req.user?.username ?? null));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.delete("/overrides/:hex", (req, res) => {
+    const icao = normalizeHex(req.params.hex);
+    const { changes } = stmt.override.get(icao) ? writable().deleteOverride.run(icao) : { changes: 0 };
+    if (!changes) return res.status(404).json({ error: "No override for that hex" });
+    res.json({ deleted: icao });
+  });
+
+  // POST /import?format=auto&dryRun=1 with the dump as the request body
+  // (gzip with Content-Encoding: gzip or Content-Type: application/gzip)
+  router.post("/import", async (req, res) => {
+    const format = (req.query.format || "auto").toString();
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `'format' must be one of: ${IMPORT_FORMATS.join(", ")}` });
+    }
+    if (importing) return res.status(409).json({ error: "An import is already running" });
+
+    const gzip = req.headers["content-encoding"] === "gzip" || req.is("application/gzip");
+    const input = gzip ? req.pipe(zlib.createGunzip()) : req;
+    importing = true;
+    try {
+      const report = await importRecords(parseDump(input, format), { format, dryRun: truthy(req.query.dryRun ?? "") });
+      console.log(`🗃️  Aircraft import${report.dryRun ? " (dry run)" : ""}: +${report.added} ~${report.changed} ` +
+        `=${report.unchanged} skipped ${report.skipped}`);
+      res.json({ ...report, ...counts() });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    } finally {
+      importing = false;
+    }
+  });
+
+  return { db, writable, lookup, saveOverride, counts, importRecords, router, close: () => db.close() };
+}
@@ -0,0 +1,226 @@
+// alerts.js — Alerting rules engine (watchlists, flags, content regex)
+// Rules are persisted as JSON on disk and evaluated against every enriched packet.
+//
+// Rule shape:
+//   { id, name, enabled, match: <filter spec, see filter.js>, cooldownSec,
+//     actions: { websocket: true, browser: true, webhook: "http://127.0.0.1:9000/hook" } }
+// Webhooks are local: loopback, private or link-local addresses (or localhost)
+// unless the server runs with remoteWebhooks, so an alert rule can't ship
+// traffic to the internet or probe hosts by name.
+
+import fs from "node:fs";
+import crypto from "node:crypto";
+import net from "node:net";
+import express from "express";
+import { compileFilter } from "./filter.js";
+import { packetHex } from "./util.js";
+
+const DEFAULT_COOLDOWN_SEC = 300;
+const RECENT_SIZE = 100;
+const WEBHOOK_TIMEOUT_MS = 5000;
+const PRUNE_EVERY_MS = 60_000;
+
+const LOCAL_NETS = new net.BlockList();
+for (const [addr, prefix, type] of [
+  ["127.0.0.0", 8, "ipv4"], ["10.0.0.0", 8, "ipv4"], ["172.16.0.0", 12, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"], ["169.254.0.0", 16, "ipv4"],
+  ["::1", 128, "ipv6"], ["fc00::", 7, "ipv6"], ["fe80::", 10, "ipv6"],
+]) LOCAL_NETS.addSubnet(addr, prefix, type);
+
+// URL hostname → is it this machine or the local network?
+function isLocalHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  const family = net.isIP(host);
+  return family !== 0 && LOCAL_NETS.check(host, family === 4 ? "ipv4" : "ipv6");
+}
+
+/* =========================
+   Validation
+   ========================= */
+// Returns a clean rule (plus its compiled matcher); throws on bad input
+function validateRule(body, id, { remoteWebhooks = false } = {}) {
+  if (!body || typeof body !== "object") throw new Error("Rule must be an object");
+  const name = (body.name ?? "").toString().trim();
+  if (!name) throw new Error("Rule 'name' is required");
+
+  // Rules are operator-owned, so their `text` may be a regular expression
+  const matcher = compileFilter(body.match || {}, { regex: true });
+  const cooldownSec = body.cooldownSec === undefined ? DEFAULT_COOLDOWN_SEC : Number(body.cooldownSec);
+  if (!Number.isFinite(cooldownSec) || cooldownSec < 0) throw new Error("'cooldownSec' must be >= 0");
+
+  const actions = body.actions || {};
+  const webhook = (actions.webhook ?? "").toString().trim();
+  if (webhook) {
+    let url;
+    try { url = new URL(webhook); } catch (_) { throw new Error("Invalid webhook URL"); }
+    if (!["http:", "https:"].includes(url.protocol)) throw new Error("Webhook must be http(s)");
+    if (!remoteWebhooks && !isLocalHost(url.hostname)) {
+      throw new Error("Webhook must be on this machine or a private network address (remoteWebhooks allows others)");
+    }
+  }
+
+  const rule = {
+    id,
+    name,
+    enabled: body.enabled !== false,
+    match: body.match || {},
+    cooldownSec,
+    actions: {
+      websocket: actions.websocket !== false,
+      browser: actions.browser !== false,
+      webhook,
+    },
+  };
+  return { rule, matcher };
+}
+
+/* =========================
+   Engine
+   ========================= */
+// remoteWebhooks: allow webhooks to any host (server config)
+export function createAlertEngine({ file, notify, remoteWebhooks = false }) {
+  let rules = [];                 // [{ rule, matcher }]
+  const quietUntil = new Map();   // `${ruleId}:${hex}` -> ms the cooldown ends
+  let prunedAt = 0;
+  const recent = [];
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      rules = [];
+      for (const r of saved) {
+        try {
+          rules.push(validateRule(r, r.id || crypto.randomUUID(), { remoteWebhooks }));
+        } catch (err) {
+          console.error(`❌ Skipping invalid alert rule "${r?.name}":`, err.message);
+        }
+      }
+      console.log(`🚨 Loaded ${rules.length} alert rule(s) from ${file}`);
+    } catch (err) {
+      console.error("❌ Failed to load alert rules:", err.message);
+    }
+  }
+
+  function save() {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(rules.map((r) => r.rule), null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function postWebhook(url, event) {
+    fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(event),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    })
+      .then((res) => { if (!res.ok) console.error(`❌ Alert webhook ${url} → HTTP ${res.status}`); })
+      .catch((err) => console.error(`❌ Alert webhook ${url} failed:`, err.message));
+  }
+
+  function evaluate(pkt) {
+    if (!rules.length) return [];
+    const avlc = pkt?.vdl2?.avlc || {};
+    const acars = avlc.acars || {};
+    const hex = packetHex(pkt);
+    const now = Date.now();
+    const fired = [];
+
+    // Forget cooldowns that have run out, or every aircraft ever alerted on stays
+    if (now - prunedAt >= PRUNE_EVERY_MS) {
+      prunedAt = now;
+      for (const [key, until] of quietUntil) {
+        if (until <= now) quietUntil.delete(key);
+      }
+    }
+
+    for (const { rule, matcher } of rules) {
+      if (!rule.enabled || !matcher.test(pkt)) continue;
+
+      // Cooldown is per rule and per aircraft; replays keep their own so they
+      // never hold back a live alert
+      const key = `${rule.id}:${hex}${pkt.replay ? ":replay" : ""}`;
+      if (now < (quietUntil.get(key) || 0)) continue;
+      quietUntil.set(key, now + rule.cooldownSec * 1000);
+
+      const event = {
+        type: "alert",
+        time: new Date(now).toISOString(),
+        rule: { id: rule.id, name: rule.name },
+        browser: rule.actions.browser,
+        hex,
+        reg: pkt.db?.reg || (acars.reg || "").replace(/^\.+/, ""),
+        flight: acars.flight || "",
+        label: acars.label || "",
+        text: acars.msg_text || "",
+        db: pkt.db || {},
+        timestamp_iso: pkt.timestamp_iso,
+        ...(pkt.replay && { replay: true }),
+      };
+      recent.unshift(event);
+      if (recent.length > RECENT_SIZE) recent.pop();
+
+      console.log(`🚨 Alert "${rule.name}" → ${hex} ${event.reg} ${event.flight}${pkt.replay ? " (replay)" : ""}`);
+      if (rule.actions.websocket || rule.actions.browser) notify(event);
+      // Replays are for debugging here; they don't reach other systems
+      if (rule.actions.webhook && !pkt.replay) postWebhook(rule.actions.webhook, event);
+      fired.push(event);
+    }
+    return fired;
+  }
+
+  /* ---------- /api/alerts routes ---------- */
+  const router = express.Router();
+  router.use(express.json());
+
+  router.get("/", (req, res) => res.json(rules.map((r) => r.rule)));
+  router.get("/recent", (req, res) => res.json(recent));
+
+  router.get("/:id", (req, res) => {
+    const found = rules.find((r) => r.rule.id === req.params.id);
+    if (!found) return res.status(404).json({ error: "Rule not found" });
+    res.json(found.rule);
+  });
+
+  router.post("/", (req, res) => {
+    let entry;
+    try {
+      entry = validateRule(req.body, crypto.randomUUID(), { remoteWebhooks });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    rules.push(entry);
+    try { save(); } catch (err) { return res.status(500).json({ error: err.message }); }
+    res.status(201).json(entry.rule);
+  });
+
+  router.put("/:id", (req, res) => {
+    const idx = rules.findIndex((r) => r.rule.id === req.params.id);
+    if (idx < 0) return res.status(404).json({ error: "Rule not found" });
+    let entry;
+    try {
+      entry = validateRule(req.body, req.params.id, { remoteWebhooks });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    rules[idx] = entry;
+    try { save(); } catch (err) { return res.status(500).json({ error: err.message }); }
+    res.json(entry.rule);
+  });
+
+  router.delete("/:id", (req, res) => {
+    const idx = rules.findIndex((r) => r.rule.id === req.params.id);
+    if (idx < 0) return res.status(404).json({ error: "Rule not found" });
+    rules.splice(idx, 1);
+    for (const key of quietUntil.keys()) {
+      if (key.startsWith(`${req.params.id}:`)) quietUntil.delete(key);
+    }
+    try { save(); } catch (err) { return res.status(500).json({ error: err.message }); }
+    res.json({ status: "deleted", id: req.params.id });
+  });
+
+  load();
+  return { evaluate, router };
+}
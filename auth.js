@@ -0,0 +1,305 @@
+// auth.js — Local users, sessions and roles for the API and WebSocket
+// Users live in a JSON file with scrypt-hashed passwords. A login returns a
+// random session token, set as an HttpOnly cookie and also usable as
+// `Authorization: Bearer <token>` (or `?token=` on the WebSocket URL).
+//
+// Roles: viewer (live table, events, read-only API), operator (everything,
+// including dumpvdl2 control and any write request).
+//
+// Users file shape:
+//   [{ username, role, password: "scrypt$<salt>$<hash>", createdAt }]
+
+import fs from "node:fs";
+import crypto from "node:crypto";
+import express from "express";
+
+export const ROLES = ["viewer", "operator"];
+const COOKIE_NAME = "vdl2_session";
+const SCRYPT_KEYLEN = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const LOGIN_WINDOW_MS = 10 * 60 * 1000;        // failed-login accounting window
+const LOGIN_MAX_FAILURES = 5;                  // per client address per window
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+/* =========================
+   Password hashing
+   ========================= */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = crypto.scryptSync(password, Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of (header || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq > 0) out[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+  }
+  return out;
+}
+
+/* =========================
+   Validation
+   ========================= */
+function validateUser(body, { partial = false } = {}) {
+  if (!body || typeof body !== "object") throw new Error("User must be an object");
+  const out = {};
+  if (!partial || body.username !== undefined) {
+    const username = (body.username ?? "").toString().trim();
+    if (!/^[\w.-]{1,32}$/.test(username)) throw new Error("'username' must be 1-32 letters, digits, '.', '_' or '-'");
+    out.username = username;
+  }
+  if (!partial || body.role !== undefined) {
+    if (!ROLES.includes(body.role)) throw new Error(`'role' must be one of: ${ROLES.join(", ")}`);
+    out.role = body.role;
+  }
+  if (!partial || body.password !== undefined) {
+    const password = (body.password ?? "").toString();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`'password' must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    out.password = password;
+  }
+  return out;
+}
+
+/* =========================
+   Auth service
+   ========================= */
+export function createAuth({ file, enabled = true, sessionTtlMs = 12 * 3600 * 1000 }) {
+  let users = [];
+  const sessions = new Map();   // token -> { username, role, expires }
+  const failures = new Map();   // client address -> [ms of failed logins]
+  let dummyHash = null;
+
+  function load() {
+    try {
+      users = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (!Array.isArray(users)) throw new Error("users file must be a JSON array");
+      console.log(`🔐 Loaded ${users.length} user(s) from ${file}`);
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(`❌ Failed to load users from ${file}:`, err.message);
+        process.exit(1);
+      }
+      users = [];
+    }
+  }
+
+  function save() {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(users, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  // First start: create an operator so the controller isn't left open
+  function bootstrap() {
+    if (!enabled || users.length) return;
+    const password = process.env.VDL2_ADMIN_PASSWORD || crypto.randomBytes(9).toString("base64url");
+    users.push({ username: "admin", role: "operator", password: hashPassword(password), createdAt: new Date().toISOString() });
+    save();
+    console.log(`🔐 Created operator 'admin' in ${file}`);
+    if (!process.env.VDL2_ADMIN_PASSWORD) console.log(`🔐 Initial password: ${password} (change it after logging in)`);
+  }
+
+  load();
+  bootstrap();
+
+  const publicUser = (u) => ({ username: u.username, role: u.role, createdAt: u.createdAt });
+
+  /* ---------- Sessions ---------- */
+  function createSession(user) {
+    const token = crypto.randomBytes(32).toString("hex");
+    sessions.set(token, { username: user.username, role: user.role, expires: Date.now() + sessionTtlMs });
+    return token;
+  }
+
+  function dropSessionsFor(username) {
+    for (const [token, s] of sessions) if (s.username === username) sessions.delete(token);
+  }
+
+  function tokenFrom(req) {
+    const header = req.headers?.authorization || "";
+    if (header.startsWith("Bearer ")) return header.slice(7).trim();
+    const cookie = parseCookies(req.headers?.cookie)[COOKIE_NAME];
+    if (cookie) return cookie;
+    // WebSocket clients that can't send headers
+    return new URL(req.url || "/", "http://localhost").searchParams.get("token");
+  }
+
+  // Returns { username, role } or null; works on Express and raw upgrade requests
+  function authenticate(req) {
+    if (!enabled) return { username: "anonymous", role: "operator" };
+    const token = tokenFrom(req);
+    const session = token && sessions.get(token);
+    if (!session) return null;
+    if (session.expires < Date.now()) {
+      sessions.delete(token);
+      return null;
+    }
+    return { username: session.username, role: session.role };
+  }
+
+  function prune() {
+    const now = Date.now();
+    for (const [token, s] of sessions) if (s.expires < now) sessions.delete(token);
+    for (const [addr, list] of failures) {
+      const recent = list.filter((t) => t > now - LOGIN_WINDOW_MS);
+      if (recent.length) failures.set(addr, recent);
+      else failures.delete(addr);
+    }
+  }
+  setInterval(prune, 60_000).unref();
+
+  /* ---------- Middleware ---------- */
+  function requireRole(role) {
+    return (req, res, next) => {
+      const user = authenticate(req);
+      if (!user) return res.status(401).json({ error: "Login required" });
+      if (roleRank(user.role) < roleRank(role)) return res.status(403).json({ error: `Requires ${role} role` });
+      req.user = user;
+      next();
+    };
+  }
+
+  // Read requests need a viewer, writes need an operator; `operatorPaths`
+  // are reads that still expose control (e.g. dumpvdl2 status and logs)
+  function guard({ operatorPaths = [] } = {}) {
+    const viewer = requireRole("viewer");
+    const operator = requireRole("operator");
+    return (req, res, next) => {
+      const read = req.method === "GET" || req.method === "HEAD";
+      const restricted = operatorPaths.some((p) => req.path === p || req.path.startsWith(`${p}/`));
+      return (read && !restricted ? viewer : operator)(req, res, next);
+    };
+  }
+
+  /* ---------- /api/auth routes ---------- */
+  const router = express.Router();
+  router.use(express.json());
+
+  router.get("/me", (req, res) => {
+    const user = authenticate(req);
+    if (!user) return res.status(401).json({ error: "Login required", enabled });
+    res.json({ ...user, enabled });
+  });
+
+  router.post("/login", (req, res) => {
+    const addr = req.ip || "unknown";
+    const recent = (failures.get(addr) || []).filter((t) => t > Date.now() - LOGIN_WINDOW_MS);
+    if (recent.length >= LOGIN_MAX_FAILURES) {
+      return res.status(429).json({ error: "Too many failed logins, try again later" });
+    }
+
+    const { username, password } = req.body || {};
+    const user = users.find((u) => u.username === username);
+    // Hash against a dummy when the user doesn't exist so timing doesn't reveal it
+    const stored = user?.password ?? (dummyHash ??= hashPassword(crypto.randomBytes(16).toString("hex")));
+    const ok = typeof password === "string" && verifyPassword(password, stored);
+    if (!user || !ok) {
+      failures.set(addr, [...recent, Date.now()]);
+      console.log(`🔐 Failed login for '${username}' from ${addr}`);
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+    failures.delete(addr);
+
+    const token = createSession(user);
+    res.cookie(COOKIE_NAME, token, {
+      httpOnly: true,
+      sameSite: "strict",
+      secure: req.secure,
+      maxAge: sessionTtlMs,
+      path: "/",
+    });
+    console.log(`🔐 ${user.username} logged in (${user.role})`);
+    res.json({ token, user: publicUser(user) });
+  });
+
+  router.post("/logout", (req, res) => {
+    const token = tokenFrom(req);
+    if (token) sessions.delete(token);
+    res.clearCookie(COOKIE_NAME, { path: "/" });
+    res.json({ status: "logged out" });
+  });
+
+  // Any logged-in user can change their own password
+  router.post("/password", requireRole("viewer"), (req, res) => {
+    const user = users.find((u) => u.username === req.user.username);
+    const { current, password } = req.body || {};
+    if (!user || typeof current !== "string" || !verifyPassword(current, user.password)) {
+      return res.status(403).json({ error: "Current password is wrong" });
+    }
+    try {
+      user.password = hashPassword(validateUser({ password }, { partial: true }).password);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    save();
+    dropSessionsFor(user.username);
+    res.json({ status: "password changed" });
+  });
+
+  // User management (operators only)
+  const operatorsLeft = (except) => users.filter((u) => u.role === "operator" && u.username !== except).length;
+
+  router.get("/users", requireRole("operator"), (req, res) => res.json(users.map(publicUser)));
+
+  router.post("/users", requireRole("operator"), (req, res) => {
+    let body;
+    try {
+      body = validateUser(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (users.some((u) => u.username === body.username)) {
+      return res.status(409).json({ error: "User already exists" });
+    }
+    const user = { username: body.username, role: body.role, password: hashPassword(body.password), createdAt: new Date().toISOString() };
+    users.push(user);
+    save();
+    res.status(201).json(publicUser(user));
+  });
+
+  router.put("/users/:username", requireRole("operator"), (req, res) => {
+    const user = users.find((u) => u.username === req.params.username);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    let body;
+    try {
+      body = validateUser({ role: req.body?.role, password: req.body?.password }, { partial: true });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (body.role === "viewer" && user.role === "operator" && !operatorsLeft(user.username)) {
+      return res.status(409).json({ error: "Cannot demote the last operator" });
+    }
+    if (body.role) user.role = body.role;
+    if (body.password) user.password = hashPassword(body.password);
+    save();
+    dropSessionsFor(user.username);
+    res.json(publicUser(user));
+  });
+
+  router.delete("/users/:username", requireRole("operator"), (req, res) => {
+    const idx = users.findIndex((u) => u.username === req.params.username);
+    if (idx < 0) return res.status(404).json({ error: "User not found" });
+    if (users[idx].role === "operator" && !operatorsLeft(users[idx].username)) {
+      return res.status(409).json({ error: "Cannot delete the last operator" });
+    }
+    const [removed] = users.splice(idx, 1);
+    save();
+    dropSessionsFor(removed.username);
+    res.json({ deleted: removed.username });
+  });
+
+  return { authenticate, requireRole, guard, router, enabled };
+}
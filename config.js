@@ -0,0 +1,192 @@
+// config.js — Server configuration shared by server.js and controller.js
+// Precedence: defaults < config file < VDL2_* environment variables < CLI flags.
+// The file is config.json in the working directory, or whatever --config /
+// VDL2_CONFIG points at (then it must exist). Values are validated once at
+// startup; relative paths resolve against the working directory.
+
+import fs from "node:fs";
+import path from "node:path";
+
+/* =========================
+   Options
+   ========================= */
+// type: port (1-65535), port0 (0 = disabled), int, number, bool, path, urlpath
+const OPTIONS = {
+  httpPort:     { type: "port",   def: 3000,  env: "VDL2_HTTP_PORT",     flag: "--http-port" },
+  udpPort:      { type: "port",   def: 5555,  env: "VDL2_UDP_PORT",      flag: "--udp-port" },
+  wsPath:       { type: "urlpath", def: "/ws", env: "VDL2_WS_PATH",      flag: "--ws-path" },
+  wsPort:       { type: "port0",  def: 8080,  env: "VDL2_WS_PORT",       flag: "--ws-port" },
+  logDir:       { type: "path",   def: "/var/log/vdl2",           env: "VDL2_LOG_DIR",     flag: "--log-dir" },
+  unknownDir:   { type: "path",   def: "/var/www/localhost/logs", env: "VDL2_UNKNOWN_DIR", flag: "--unknown-dir" },
+  dataDir:      { type: "path",   def: ".",   env: "VDL2_DATA_DIR",      flag: "--data-dir" },
+  dbPath:       { type: "path",   def: null,  env: "VDL2_DB_PATH",       flag: "--db" },
+  keepDays:     { type: "int",    def: 7,     env: "VDL2_KEEP_DAYS",     flag: "--keep-days", min: 1 },
+  debugLookups: { type: "bool",   def: true,  env: "VDL2_DEBUG_LOOKUPS", flag: "--debug-lookups" },
+  dumpvdl2Path: { type: "path",   def: "/usr/local/bin/dumpvdl2", env: "VDL2_DUMPVDL2_PATH", flag: "--dumpvdl2" },
+  decoderLogMb: { type: "number", def: 10,  env: "VDL2_DECODER_LOG_MB", flag: "--decoder-log-mb", min: 0.1 },
+  decoderLogKeep: { type: "int",  def: 5,     env: "VDL2_DECODER_LOG_KEEP", flag: "--decoder-log-keep", min: 1 },
+  supervise:    { type: "bool",   def: true,  env: "VDL2_SUPERVISE",     flag: "--supervise" },
+  autostart:    { type: "bool",   def: false, env: "VDL2_AUTOSTART",     flag: "--autostart" },
+  authEnabled:  { type: "bool",   def: true,  env: "VDL2_AUTH",          flag: "--auth" },
+  sessionHours: { type: "number", def: 12,    env: "VDL2_SESSION_HOURS", flag: "--session-hours", min: 0.1 },
+  remoteWebhooks: { type: "bool", def: false, env: "VDL2_REMOTE_WEBHOOKS", flag: "--remote-webhooks" },
+  replay:       { type: "path",   def: null,  env: "VDL2_REPLAY",        flag: "--replay" },
+  replaySpeed:  { type: "number", def: 1,     env: "VDL2_REPLAY_SPEED",  flag: "--speed", min: 0.01 },
+};
+
+function coerce(key, raw, source) {
+  const { type, min } = OPTIONS[key];
+  const fail = (why) => { throw new Error(`${key} (${source}): ${why}, got ${JSON.stringify(raw)}`); };
+
+  switch (type) {
+    case "port":
+    case "port0":
+    case "int": {
+      const n = typeof raw === "number" ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(n)) fail("expected an integer");
+      if (type === "port" && (n < 1 || n > 65535)) fail("expected a port 1-65535");
+      if (type === "port0" && (n < 0 || n > 65535)) fail("expected a port 0-65535 (0 disables)");
+      if (min !== undefined && n < min) fail(`must be at least ${min}`);
+      return n;
+    }
+    case "number": {
+      const n = typeof raw === "number" ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(n)) fail("expected a number");
+      if (min !== undefined && n < min) fail(`must be at least ${min}`);
+      return n;
+    }
+    case "bool": {
+      if (typeof raw === "boolean") return raw;
+      const s = String(raw).trim().toLowerCase();
+      if (["1", "true", "yes", "on"].includes(s)) return true;
+      if (["0", "false", "no", "off"].includes(s)) return false;
+      return fail("expected true/false");
+    }
+    case "path":
+      if (raw === null) return null;
+      if (typeof raw !== "string" || !raw.trim()) fail("expected a non-empty path");
+      return raw.trim();
+    case "urlpath":
+      if (typeof raw !== "string" || !/^\/[\w\-./]*$/.test(raw.trim())) fail("expected a URL path like /ws");
+      return raw.trim();
+    default:
+      return raw;
+  }
+}
+
+/* =========================
+   Sources
+   ========================= */
+const FLAG_KEYS = Object.fromEntries(Object.entries(OPTIONS).map(([k, o]) => [o.flag, k]));
+
+// --flag value, --flag=value, and --no-<flag> for booleans
+function parseArgs(argv) {
+  const out = { configFile: undefined, values: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const eq = arg.indexOf("=");
+    const flag = eq > 0 ? arg.slice(0, eq) : arg;
+    const inline = eq > 0 ? arg.slice(eq + 1) : undefined;
+
+    if (flag === "--config") {
+      out.configFile = inline ?? argv[++i];
+      continue;
+    }
+    const key = FLAG_KEYS[flag];
+    const negated = flag.startsWith("--no-") ? FLAG_KEYS[`--${flag.slice(5)}`] : undefined;
+    if (!key && OPTIONS[negated]?.type === "bool") {
+      out.values[negated] = false;
+      continue;
+    }
+    if (!key) throw new Error(`Unknown option ${arg}`);
+    if (OPTIONS[key].type === "bool" && inline === undefined) {
+      out.values[key] = true;
+      continue;
+    }
+    const value = inline ?? argv[++i];
+    if (value === undefined) throw new Error(`Option ${flag} needs a value`);
+    out.values[key] = value;
+  }
+  return out;
+}
+
+function readConfigFile(file, required) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT" && !required) return {};
+    throw new Error(`Cannot read config file ${file}: ${err.message}`);
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+  const unknown = Object.keys(parsed).filter((k) => !OPTIONS[k]);
+  if (unknown.length) throw new Error(`Unknown key(s) in ${file}: ${unknown.join(", ")}`);
+  return parsed;
+}
+
+/* =========================
+   Loader
+   ========================= */
+// Returns a frozen config object; throws with every problem listed
+export function loadConfig({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+  const args = parseArgs(argv);
+  const explicitFile = args.configFile ?? env.VDL2_CONFIG;
+  const file = path.resolve(cwd, explicitFile || "config.json");
+  const fromFile = readConfigFile(file, !!explicitFile);
+
+  const config = {};
+  const problems = [];
+  for (const [key, opt] of Object.entries(OPTIONS)) {
+    let raw = opt.def;
+    let source = "default";
+    if (key in fromFile) { raw = fromFile[key]; source = path.basename(file); }
+    if (env[opt.env] !== undefined && env[opt.env] !== "") { raw = env[opt.env]; source = opt.env; }
+    if (key in args.values) { raw = args.values[key]; source = opt.flag; }
+    try {
+      config[key] = coerce(key, raw, source);
+    } catch (err) {
+      problems.push(err.message);
+    }
+  }
+  if (problems.length) throw new Error(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+
+  // replay stays as given: a full path is read as is, a bare name from logDir
+  for (const key of ["logDir", "unknownDir", "dataDir", "dbPath", "dumpvdl2Path"]) {
+    if (config[key]) config[key] = path.resolve(cwd, config[key]);
+  }
+  config.dbPath ??= path.join(config.dataDir, "aircraft.db");
+  if (config.wsPort && config.wsPort === config.httpPort) {
+    throw new Error("Invalid configuration:\n  - wsPort must differ from httpPort (use 0 to serve WebSocket only on wsPath)");
+  }
+  config.configFile = fs.existsSync(file) ? file : null;
+  return Object.freeze(config);
+}
+
+// Safe subset for the browser (no filesystem paths)
+export function publicConfig(config) {
+  return {
+    wsPath: config.wsPath,
+    wsPort: config.wsPort || null,
+    udpPort: config.udpPort,
+    keepDays: config.keepDays,
+    authEnabled: config.authEnabled,
+  };
+}
+
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+export default config;
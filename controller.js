@@ -1,15 +1,29 @@
 // controller.js — Diagnostic version for dumpvdl2 control
+// Manages named decoder instances (one per dongle), each with its own
+// supervisor, log buffer, log file and UDP port. Started instances get
+// `--station-id <id>` so server.js can tell their packets apart.
+// The original /start, /stop, /status and /logs routes act on "default".
+// Logs stream live as Server-Sent Events from .../logs/stream.
 import express from "express";
-import { spawn } from "child_process";
 import fs from "fs";
 import path from "path";
+import config from "./config.js";
+import { buildDumpvdl2Args } from "./dumpvdl2.js";
+import { createSupervisor } from "./supervisor.js";
+import { createLogBook, formatEntry, matchesFilter, parseStreams, parseMinLevel } from "./logbook.js";
 
 const router = express.Router();
 
 // ========== CONFIG ==========
-const DUMPVDL2_PATH = "/usr/local/bin/dumpvdl2";
-const LOG_DIR = "/var/log/vdl2";
-const LOG_FILE = path.join(LOG_DIR, "dumpvdl2.log");
+const DUMPVDL2_PATH = config.dumpvdl2Path;
+const LOG_DIR = config.logDir;
+const INSTANCES_FILE = path.join(config.dataDir, "instances.json"); // instance list + last start of each, for autostart
+const LEGACY_LAST_RUN_FILE = path.join(config.dataDir, "last-run.json"); // single-instance autostart file
+const DEFAULT_INSTANCE = "default";
+const LOG_BUFFER_LINES = 5000;
+const LOG_MAX_BYTES = config.decoderLogMb * 1024 * 1024; // rotate dumpvdl2*.log at this size
+const SSE_BACKLOG = 200;                                   // lines sent when a stream opens
+const SSE_KEEPALIVE_MS = 25_000;
 
 // Ensure log directory exists
 if (!fs.existsSync(LOG_DIR)) {
@@ -17,123 +31,407 @@ if (!fs.existsSync(LOG_DIR)) {
 }
 
 // ========== STATE ==========
-let proc = null;
-let startTime = null;
-let lastCmd = "";
-let logBuffer = "";
+// id -> { id, name, udpPort, lastRun, supervisor, log }
+const instances = new Map();
+const changeListeners = [];
 
 // ========== HELPERS ==========
-function appendLog(line) {
-  const ts = new Date().toISOString();
-  const entry = `[${ts}] ${line}\n`;
-  console.log(entry.trim());
-  logBuffer += entry;
-  fs.appendFileSync(LOG_FILE, entry);
-  const lines = logBuffer.split("\n");
-  if (lines.length > 5000) logBuffer = lines.slice(-5000).join("\n");
+// Controller messages; dumpvdl2's own output comes in through the supervisor
+function appendLog(inst, line) {
+  inst.log.append(line, "ctl");
 }
 
 function safeJson(res, obj, status = 200) {
   res.status(status).json(obj);
 }
 
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const slugify = (name) =>
+  name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 32) || "instance";
+
+// ========== INSTANCES ==========
+function addInstance({ id, name, udpPort, lastRun = null }) {
+  const inst = {
+    id,
+    name,
+    udpPort,
+    lastRun,
+    log: createLogBook({
+      // The default instance keeps the original log file name
+      file: path.join(LOG_DIR, id === DEFAULT_INSTANCE ? "dumpvdl2.log" : `dumpvdl2-${id}.log`),
+      maxLines: LOG_BUFFER_LINES,
+      maxBytes: LOG_MAX_BYTES,
+      keep: config.decoderLogKeep,
+      echo: (line) => console.log(id === DEFAULT_INSTANCE ? line : `[${id}] ${line}`),
+    }),
+  };
+  inst.supervisor = createSupervisor({
+    binary: DUMPVDL2_PATH,
+    log: (text, stream = "ctl") => inst.log.append(text, stream),
+    restart: config.supervise,
+  });
+  instances.set(id, inst);
+  return inst;
+}
+
+function saveInstances() {
+  const list = [...instances.values()].map(({ id, name, udpPort, lastRun }) => ({ id, name, udpPort, lastRun }));
+  const tmp = `${INSTANCES_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(list, null, 2));
+  fs.renameSync(tmp, INSTANCES_FILE);
+}
+
+function loadInstances() {
+  let saved = [];
+  try {
+    saved = JSON.parse(fs.readFileSync(INSTANCES_FILE, "utf8"));
+    if (!Array.isArray(saved)) throw new Error("instances file must be a JSON array");
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`❌ Failed to load ${INSTANCES_FILE}:`, err.message);
+    saved = [];
+  }
+
+  // The default instance always exists and always listens on the main UDP port
+  const def = saved.find((i) => i.id === DEFAULT_INSTANCE);
+  let lastRun = def?.lastRun ?? null;
+  if (!def && fs.existsSync(LEGACY_LAST_RUN_FILE)) {
+    try {
+      lastRun = JSON.parse(fs.readFileSync(LEGACY_LAST_RUN_FILE, "utf8"));
+    } catch (_) {}
+  }
+  addInstance({ id: DEFAULT_INSTANCE, name: def?.name || "Default", udpPort: config.udpPort, lastRun });
+
+  for (const i of saved) {
+    if (i.id === DEFAULT_INSTANCE || !i.id || instances.has(i.id)) continue;
+    addInstance({ id: i.id, name: i.name || i.id, udpPort: i.udpPort, lastRun: i.lastRun ?? null });
+  }
+  if (instances.size > 1) console.log(`🎛️  Loaded ${instances.size} dumpvdl2 instance(s) from ${INSTANCES_FILE}`);
+}
+
+function getInstance(id) {
+  const inst = instances.get(id);
+  if (!inst) throw httpError(404, `Instance '${id}' not found`);
+  return inst;
+}
+
+function validatePort(raw, exceptId) {
+  const port = Number(raw);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) throw httpError(400, "'udpPort' must be a port 1-65535");
+  const owner = [...instances.values()].find((i) => i.udpPort === port && i.id !== exceptId);
+  if (owner) throw httpError(409, `UDP port ${port} is already used by instance '${owner.id}'`);
+  return port;
+}
+
+// Not running and no restart pending
+const isIdle = (inst) => ["stopped", "crashloop"].includes(inst.supervisor.status().state);
+
+function notifyChange() {
+  for (const fn of changeListeners) fn(listInstances());
+}
+
+const instanceStatus = (inst) => ({
+  id: inst.id,
+  name: inst.name,
+  udpPort: inst.udpPort,
+  ...inst.supervisor.status(),
+  supervised: config.supervise,
+});
+
+// [{ id, name, udpPort }] — server.js listens on every udpPort
+export const listInstances = () =>
+  [...instances.values()].map(({ id, name, udpPort }) => ({ id, name, udpPort }));
+
+// Called with the new list whenever instances are added, changed or removed
+export function onInstancesChange(fn) {
+  changeListeners.push(fn);
+}
+
+// Which instance produced a packet: its --station-id, else the only
+// instance sending to the port it arrived on
+export function instanceFor({ station, port } = {}) {
+  if (station && instances.has(station)) return station;
+  const owners = [...instances.values()].filter((i) => i.udpPort === port);
+  return owners.length === 1 ? owners[0].id : null;
+}
+
+loadInstances();
+
 // Middleware: log all requests
 router.use((req, res, next) => {
-  appendLog(`HTTP ${req.method} ${req.originalUrl}`);
+  const m = /^\/instances\/([^/]+)/.exec(req.path);
+  appendLog(instances.get(m?.[1]) || instances.get(DEFAULT_INSTANCE), `HTTP ${req.method} ${req.originalUrl}`);
   next();
 });
 
-// ========== ROUTES ==========
-
-// START
-router.post("/start", express.json(), (req, res) => {
-  appendLog("Received /api/start request");
+// ========== START ==========
+// Shared by the start routes and profile starts (profiles.js). Throws with
+// err.status, plus err.fields for per-field option errors.
+export function startDumpvdl2(options = {}, { profile = null, instance = DEFAULT_INSTANCE } = {}) {
+  const inst = getInstance(instance);
+  if (inst.supervisor.isRunning()) {
+    const { pid, profile: current } = inst.supervisor.status();
+    appendLog(inst, "dumpvdl2 already running, PID " + pid);
+    return { instance: inst.id, running: true, pid, profile: current };
+  }
 
-  if (proc) {
-    appendLog("dumpvdl2 already running, PID " + proc.pid);
-    return safeJson(res, { running: true, pid: proc.pid });
+  // Field-level errors go back to the form instead of reaching dumpvdl2
+  const { args, errors } = buildDumpvdl2Args(options, { udpPort: inst.udpPort, stationId: inst.id });
+  if (errors) {
+    appendLog(inst, "Rejected start options: " + JSON.stringify(errors));
+    throw Object.assign(new Error("Invalid options"), { status: 400, fields: errors });
   }
 
   // Verify binary path
   if (!fs.existsSync(DUMPVDL2_PATH)) {
-    appendLog("ERROR: dumpvdl2 binary not found at " + DUMPVDL2_PATH);
-    return safeJson(res, { error: "Binary not found" }, 500);
+    appendLog(inst, "ERROR: dumpvdl2 binary not found at " + DUMPVDL2_PATH);
+    throw Object.assign(new Error("Binary not found"), { status: 500 });
   }
 
-  const cfg = req.body || {};
-  const args = [];
+  appendLog(inst, `Attempting spawn${profile ? ` (profile ${profile})` : ""}: ${DUMPVDL2_PATH} ${args.join(" ")}`);
 
-  const outType = cfg["output.type"] || "udp";
-  const outFormat = cfg["output.format"] || "json";
-  const outWhat = cfg["output.what"] || "decoded";
+  try {
+    inst.supervisor.start(args, { profile });
+  } catch (err) {
+    appendLog(inst, "SPAWN ERROR: " + err.message);
+    throw Object.assign(err, { status: 500 });
+  }
 
-  if (outType === "udp") {
-    const address = cfg["output.udp.address"] || "localhost";
-    const port = cfg["output.udp.port"] || "5555";
-    args.push("--output", `${outWhat}:${outFormat}:udp:address=${address},port=${port}`);
-  } else {
-    args.push("--output", `${outWhat}:${outFormat}:file:path=/tmp/dumpvdl2.jsonl,rotate=daily`);
+  inst.lastRun = { options, profile, startedAt: new Date().toISOString() };
+  try {
+    saveInstances();
+  } catch (err) {
+    appendLog(inst, "WARN: could not save last run: " + err.message);
   }
 
-  if (cfg["source"] === "rtlsdr") {
-    args.push("--rtlsdr", cfg["rtlsdr.deviceId"] || "0");
-    if (cfg["rtlsdr.gain"]) args.push("--gain", cfg["rtlsdr.gain"]);
-  } else if (cfg["source"] === "iq-file") {
-    args.push("--iq-file", cfg["iqFile.path"] || "/tmp/test.iq");
+  const { pid, command } = inst.supervisor.status();
+  return { instance: inst.id, status: "starting", pid, command, profile };
+}
+
+// Start-on-boot: re-run each instance's last start. A profile start uses the
+// profile's current options (getProfile from profiles.js) so later edits are picked up.
+export function autostartDumpvdl2(getProfile) {
+  for (const inst of instances.values()) {
+    const last = inst.lastRun;
+    if (!last) {
+      appendLog(inst, "Autostart: nothing has been started yet");
+      continue;
+    }
+    const profile = last.profile ? getProfile(last.profile) : null;
+    if (last.profile && !profile) appendLog(inst, `Autostart: profile ${last.profile} is gone, using its last options`);
+    appendLog(inst, `Autostart${profile ? ` with profile ${profile.id}` : ""}`);
+    try {
+      startDumpvdl2(profile ? profile.options : last.options, { profile: profile?.id ?? null, instance: inst.id });
+    } catch (err) {
+      appendLog(inst, "Autostart failed: " + err.message + (err.fields ? " " + JSON.stringify(err.fields) : ""));
+    }
   }
+}
+
+// Graceful stop of every instance for server shutdown
+export const stopDumpvdl2 = () => Promise.all([...instances.values()].map((i) => i.supervisor.stop()));
 
-  args.push(cfg["frequencies"] || "136.975M");
-  if (cfg["decodeFragments"]) args.push("--decode-fragments");
-  if (cfg["utc"]) args.push("--utc");
+// ========== ROUTES ==========
+function sendError(res, err) {
+  return safeJson(res, { error: err.message, ...(err.fields && { fields: err.fields }) }, err.status || 500);
+}
 
-  lastCmd = `${DUMPVDL2_PATH} ${args.join(" ")}`;
-  appendLog("Attempting spawn: " + lastCmd);
+function startRoute(getId) {
+  return (req, res) => {
+    const id = getId(req);
+    appendLog(instances.get(id) || instances.get(DEFAULT_INSTANCE), `Received start request for instance ${id}`);
+    try {
+      return safeJson(res, startDumpvdl2(req.body || {}, { instance: id }));
+    } catch (err) {
+      return sendError(res, err);
+    }
+  };
+}
+
+// STOP — answers once dumpvdl2 has actually exited (SIGKILL after a grace period)
+function stopRoute(getId) {
+  return async (req, res) => {
+    let inst;
+    try {
+      inst = getInstance(getId(req));
+    } catch (err) {
+      return sendError(res, err);
+    }
+    appendLog(inst, "Received stop request");
+    await inst.supervisor.stop();
+    return safeJson(res, { instance: inst.id, status: "stopped", lastExit: inst.supervisor.status().lastExit });
+  };
+}
 
+function statusRoute(getId) {
+  return (req, res) => {
+    try {
+      safeJson(res, instanceStatus(getInstance(getId(req))));
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+}
+
+// ?stream=out,err&level=warn — shared by the text, stream and download routes
+function logFilter(req) {
   try {
-    proc = spawn(DUMPVDL2_PATH, args, { stdio: ["ignore", "pipe", "pipe"] });
-    startTime = Date.now();
+    return { streams: parseStreams(req.query.stream), minLevel: parseMinLevel(req.query.level) };
+  } catch (err) {
+    throw httpError(400, err.message);
+  }
+}
+
+function logsRoute(getId) {
+  return (req, res) => {
+    let inst, filter;
+    try {
+      inst = getInstance(getId(req));
+      filter = logFilter(req);
+    } catch (err) {
+      return sendError(res, err);
+    }
+    const text = inst.log.query(filter).map(formatEntry).join("\n");
+    res.type("text/plain").send(text || "(no logs yet)");
+  };
+}
+
+// Server-Sent Events: the last SSE_BACKLOG matching lines (or everything
+// after Last-Event-ID on reconnect), then each new line as it arrives
+function logStreamRoute(getId) {
+  return (req, res) => {
+    let inst, filter;
+    try {
+      inst = getInstance(getId(req));
+      filter = logFilter(req);
+    } catch (err) {
+      return sendError(res, err);
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    const send = (entry) => res.write(`id: ${entry.seq}\ndata: ${JSON.stringify(entry)}\n\n`);
 
-    appendLog(`Spawned dumpvdl2, PID ${proc.pid}`);
+    // An id from before a server restart is ahead of the new sequence: start over
+    let after = Number(req.headers["last-event-id"]) || 0;
+    if (after > inst.log.lastSeq()) after = 0;
+    for (const entry of inst.log.query({ ...filter, after, limit: after ? LOG_BUFFER_LINES : SSE_BACKLOG })) send(entry);
 
-    proc.stdout.on("data", (data) => appendLog("[OUT] " + data.toString().trim()));
-    proc.stderr.on("data", (data) => appendLog("[ERR] " + data.toString().trim()));
-    proc.on("exit", (code, signal) => {
-      appendLog(`dumpvdl2 exited (code=${code}, signal=${signal})`);
-      proc = null;
+    const unsubscribe = inst.log.subscribe((entry) => {
+      if (matchesFilter(entry, filter)) send(entry);
+    });
+    const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), SSE_KEEPALIVE_MS);
+    req.on("close", () => {
+      clearInterval(keepAlive);
+      unsubscribe();
     });
+  };
+}
+
+// ?file=N downloads rotated file N (dumpvdl2.log.N); default is the current one
+function logDownloadRoute(getId) {
+  return (req, res) => {
+    let inst;
+    try {
+      inst = getInstance(getId(req));
+    } catch (err) {
+      return sendError(res, err);
+    }
+    const index = Number(req.query.file || 0);
+    const file = inst.log.files().find((f) => f.index === index);
+    if (!file) return safeJson(res, { error: "Log file not found", files: inst.log.files().map((f) => f.index) }, 404);
+    res.download(file.path, path.basename(file.path));
+  };
+}
 
-    return safeJson(res, { status: "starting", pid: proc.pid, command: lastCmd });
+// Original single-decoder routes → default instance
+const defaultId = () => DEFAULT_INSTANCE;
+router.post("/start", express.json(), startRoute(defaultId));
+router.post("/stop", stopRoute(defaultId));
+router.get("/status", statusRoute(defaultId));
+router.get("/logs", logsRoute(defaultId));
+router.get("/logs/stream", logStreamRoute(defaultId));
+router.get("/logs/download", logDownloadRoute(defaultId));
+
+// Per-instance routes
+const paramId = (req) => req.params.id;
+router.get("/instances", (req, res) => safeJson(res, [...instances.values()].map(instanceStatus)));
+router.post("/instances/:id/start", express.json(), startRoute(paramId));
+router.post("/instances/:id/stop", stopRoute(paramId));
+router.get("/instances/:id/status", statusRoute(paramId));
+router.get("/instances/:id/logs", logsRoute(paramId));
+router.get("/instances/:id/logs/stream", logStreamRoute(paramId));
+router.get("/instances/:id/logs/download", logDownloadRoute(paramId));
+router.get("/instances/:id/logs/files", (req, res) => {
+  try {
+    const inst = getInstance(req.params.id);
+    safeJson(res, inst.log.files().map(({ index, size }) => ({ index, size })));
   } catch (err) {
-    appendLog("SPAWN ERROR: " + err.message);
-    return safeJson(res, { error: err.message }, 500);
+    sendError(res, err);
   }
 });
 
-// STOP
-router.post("/stop", (req, res) => {
-  appendLog("Received /api/stop request");
-  if (proc) {
-    appendLog("Stopping dumpvdl2...");
-    proc.kill("SIGTERM");
-    proc = null;
+// CREATE { name, udpPort }
+router.post("/instances", express.json(), (req, res) => {
+  try {
+    const name = (req.body?.name ?? "").toString().trim();
+    if (!name) throw httpError(400, "Instance 'name' is required");
+    if (name.length > 64) throw httpError(400, "Instance 'name' is too long");
+    const udpPort = validatePort(req.body?.udpPort);
+
+    const base = slugify(name);
+    let id = base;
+    for (let n = 2; instances.has(id); n++) id = `${base}-${n}`;
+
+    const inst = addInstance({ id, name, udpPort });
+    saveInstances();
+    appendLog(inst, `Created instance ${id} (UDP ${udpPort})`);
+    notifyChange();
+    safeJson(res, instanceStatus(inst), 201);
+  } catch (err) {
+    sendError(res, err);
   }
-  return safeJson(res, { status: "stopped" });
 });
 
-// STATUS
-router.get("/status", (req, res) => {
-  safeJson(res, {
-    running: !!proc,
-    pid: proc?.pid || null,
-    uptime: proc ? `${((Date.now() - startTime) / 1000).toFixed(0)}s` : "-",
-    command: lastCmd,
-  });
+// UPDATE { name?, udpPort? } — the port can only change while stopped
+router.put("/instances/:id", express.json(), (req, res) => {
+  try {
+    const inst = getInstance(req.params.id);
+    const body = req.body || {};
+    if (body.name !== undefined) {
+      const name = body.name.toString().trim();
+      if (!name || name.length > 64) throw httpError(400, "Instance 'name' must be 1-64 characters");
+      inst.name = name;
+    }
+    if (body.udpPort !== undefined && Number(body.udpPort) !== inst.udpPort) {
+      if (inst.id === DEFAULT_INSTANCE) throw httpError(400, "The default instance uses the udpPort server setting");
+      if (!isIdle(inst)) throw httpError(409, "Stop the instance before changing its UDP port");
+      inst.udpPort = validatePort(body.udpPort, inst.id);
+    }
+    saveInstances();
+    notifyChange();
+    safeJson(res, instanceStatus(inst));
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
-// LOGS
-router.get("/logs", (req, res) => {
-  res.type("text/plain").send(logBuffer || "(no logs yet)");
+router.delete("/instances/:id", (req, res) => {
+  try {
+    const inst = getInstance(req.params.id);
+    if (inst.id === DEFAULT_INSTANCE) throw httpError(400, "The default instance cannot be removed");
+    if (!isIdle(inst)) throw httpError(409, "Stop the instance before removing it");
+    instances.delete(inst.id);
+    saveInstances();
+    notifyChange();
+    safeJson(res, { deleted: inst.id });
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
 export default router;
-
@@ -0,0 +1,181 @@
+// dumpvdl2.js — Controller form → validated dumpvdl2 command line
+// Every form field is described once in FIELDS (parser + the flag it maps
+// to); buildDumpvdl2Args() returns { args, errors } where errors maps form
+// field names to messages for control.js to show next to the inputs.
+
+const MHZ = 1e6;
+const AIRBAND_MIN_HZ = 118 * MHZ;
+const AIRBAND_MAX_HZ = 137 * MHZ;
+const MAX_CHANNELS = 8;
+
+/* =========================
+   Value parsers (throw on bad input)
+   ========================= */
+const isEmpty = (v) => v === undefined || v === null || (typeof v === "string" && v.trim() === "");
+
+// "136.975M", "136975k", "136975000" or plain MHz ("136.975") → Hz
+export function parseFrequency(raw) {
+  const m = /^(\d+(?:\.\d+)?)\s*([kKmM]?)(?:hz|Hz)?$/.exec(String(raw).trim());
+  if (!m) throw new Error(`'${raw}' is not a frequency`);
+  const n = Number(m[1]);
+  const unit = m[2].toLowerCase();
+  const hz = unit === "m" ? n * MHZ : unit === "k" ? n * 1e3 : n < 1000 ? n * MHZ : n;
+  return Math.round(hz);
+}
+
+function airbandFrequency(raw) {
+  const hz = parseFrequency(raw);
+  if (hz < AIRBAND_MIN_HZ || hz > AIRBAND_MAX_HZ) {
+    throw new Error(`${(hz / MHZ).toFixed(3)} MHz is outside the 118-137 MHz airband`);
+  }
+  return hz;
+}
+
+function number(min, max, { integer = false } = {}) {
+  return (raw) => {
+    const n = Number(String(raw).trim());
+    if (!Number.isFinite(n) || (integer && !Number.isInteger(n))) {
+      throw new Error(integer ? "Must be a whole number" : "Must be a number");
+    }
+    if (n < min || n > max) throw new Error(`Must be between ${min} and ${max}`);
+    return n;
+  };
+}
+
+function oneOf(values, aliases = {}) {
+  return (raw) => {
+    const v = aliases[raw] ?? raw;
+    if (!values.includes(v)) throw new Error(`Must be one of: ${values.join(", ")}`);
+    return v;
+  };
+}
+
+function absolutePath(raw) {
+  const p = String(raw).trim();
+  if (!p.startsWith("/")) throw new Error("Must be an absolute path");
+  // Commas and colons would break dumpvdl2's --output parameter syntax
+  if (/[\0-\x1f,:]/.test(p)) throw new Error("Path contains invalid characters");
+  return p;
+}
+
+function hostname(raw) {
+  const h = String(raw).trim();
+  if (!/^[A-Za-z0-9.-]{1,253}$/.test(h) && !/^\[?[0-9a-fA-F:]+\]?$/.test(h)) {
+    throw new Error("Must be a hostname or IP address");
+  }
+  return h;
+}
+
+const bool = (raw) => raw === true || raw === "on" || raw === "true" || raw === "1";
+
+/* =========================
+   Schema
+   ========================= */
+// when: only validated/used for that source or output type
+// flag: emitted as [flag, value] (or [flag] for booleans when true)
+const FIELDS = {
+  "source":              { parse: oneOf(["rtlsdr", "iq-file"]), required: "Choose an input source" },
+
+  "rtlsdr.deviceId":     { when: { source: "rtlsdr" }, def: "0", flag: "--rtlsdr",
+                           parse: (v) => { if (!/^[\w.:-]{1,64}$/.test(String(v).trim())) throw new Error("Must be a device index or serial"); return String(v).trim(); } },
+  "rtlsdr.gain":         { when: { source: "rtlsdr" }, flag: "--gain", parse: number(0, 50) },
+  "rtlsdr.correction":   { when: { source: "rtlsdr" }, flag: "--correction", parse: number(-200, 200) },
+  "rtlsdr.centerfreq":   { when: { source: "rtlsdr" }, flag: "--centerfreq", parse: airbandFrequency },
+  "rtlsdr.bias":         { when: { source: "rtlsdr" }, flag: "--bias", parse: bool },
+
+  "iqFile.path":         { when: { source: "iq-file" }, flag: "--iq-file", parse: absolutePath, required: "I/Q file path is required" },
+  "iqFile.centerfreq":   { when: { source: "iq-file" }, flag: "--centerfreq", parse: airbandFrequency },
+  "iqFile.oversample":   { when: { source: "iq-file" }, flag: "--oversample", parse: number(1, 40, { integer: true }) },
+  "iqFile.sampleFormat": { when: { source: "iq-file" }, flag: "--sample-format", parse: oneOf(["U8", "S16_LE"], { S16LE: "S16_LE" }) },
+
+  "frequencies":         { required: "At least one frequency is required" },
+
+  "output.what":         { def: "decoded", parse: oneOf(["decoded", "raw_frames"], { raw: "raw_frames" }) },
+  "output.format":       { def: "json", parse: oneOf(["text", "json", "pp_acars"]) },
+  "output.type":         { def: "udp", parse: oneOf(["udp", "file"]) },
+  "output.udp.address":  { when: { "output.type": "udp" }, def: "localhost", parse: hostname },
+  "output.udp.port":     { when: { "output.type": "udp" }, def: "5555", parse: number(1, 65535, { integer: true }) },
+  "output.file.path":    { when: { "output.type": "file" }, parse: absolutePath, required: "Output file path is required" },
+  "output.file.rotate":  { when: { "output.type": "file" }, def: "daily", parse: oneOf(["none", "daily", "hourly"]) },
+
+  "decodeFragments":     { flag: "--decode-fragments", parse: bool },
+  "utc":                 { flag: "--utc", parse: bool },
+  "milliseconds":        { flag: "--milliseconds", parse: bool },
+};
+
+export const FORM_FIELDS = Object.keys(FIELDS);
+
+function parseFrequencies(raw) {
+  const list = (Array.isArray(raw) ? raw : String(raw).split(/[\s,;]+/)).filter((f) => !isEmpty(f));
+  if (!list.length) throw new Error("At least one frequency is required");
+  if (list.length > MAX_CHANNELS) throw new Error(`At most ${MAX_CHANNELS} frequencies`);
+  const hz = list.map(airbandFrequency);
+  if (new Set(hz).size !== hz.length) throw new Error("Duplicate frequency");
+  return hz;
+}
+
+/* =========================
+   Builder
+   ========================= */
+// form: flat object as posted by control.js ({ "rtlsdr.gain": "40", ... })
+// defaults: { udpPort, stationId } from the instance being started
+export function buildDumpvdl2Args(form = {}, defaults = {}) {
+  const errors = {};
+  const values = {};
+
+  const unknown = Object.keys(form).filter((k) => !FIELDS[k]);
+  for (const k of unknown) errors[k] = "Unknown option";
+
+  // Source and output type first: they decide which other fields apply
+  const order = ["source", "output.type", ...FORM_FIELDS.filter((k) => k !== "source" && k !== "output.type")];
+  for (const key of order) {
+    const field = FIELDS[key];
+    if (field.when && Object.entries(field.when).some(([k, v]) => values[k] !== v)) continue;
+
+    let raw = form[key];
+    if (isEmpty(raw) || raw === false) {
+      if (field.required) {
+        errors[key] = field.required;
+        continue;
+      }
+      raw = key === "output.udp.port" && defaults.udpPort ? String(defaults.udpPort) : field.def;
+      if (raw === undefined) continue;
+    }
+    try {
+      values[key] = key === "frequencies" ? parseFrequencies(raw) : field.parse(raw);
+    } catch (err) {
+      errors[key] = err.message;
+    }
+  }
+
+  if (values["output.format"] === "pp_acars" && values["output.what"] !== "decoded") {
+    errors["output.format"] = "pp_acars needs decoded output";
+  }
+  if (Object.keys(errors).length) return { args: null, errors };
+
+  // Input
+  const args = [];
+  for (const key of FORM_FIELDS) {
+    const { flag } = FIELDS[key];
+    if (!flag || !(key in values)) continue;
+    if (typeof values[key] === "boolean") {
+      if (values[key]) args.push(flag);
+    } else {
+      args.push(flag, String(values[key]));
+    }
+  }
+
+  // Shows up as vdl2.station in JSON output; tags packets by instance
+  if (defaults.stationId) args.push("--station-id", defaults.stationId);
+
+  // Output: <what>:<format>:<type>:<params>
+  const outParams = values["output.type"] === "udp"
+    ? `address=${values["output.udp.address"]},port=${values["output.udp.port"]}`
+    : `path=${values["output.file.path"]}` +
+      (values["output.file.rotate"] !== "none" ? `,rotate=${values["output.file.rotate"]}` : "");
+  args.push("--output", `${values["output.what"]}:${values["output.format"]}:${values["output.type"]}:${outParams}`);
+
+  // Channels go last, one positional argument each, in Hz
+  args.push(...values.frequencies.map(String));
+  return { args, errors: null };
+}
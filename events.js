@@ -0,0 +1,338 @@
+// events.js — Traffic statistics behind the Events page
+// Totals, top owners/models, military share, per-frequency counts and a
+// per-minute timeline (24h) with unique aircraft/flights per bucket.
+// State is checkpointed to disk and rebuilt from the retained daily logs on
+// startup; daily rollups (packets, new aircraft per day…) outlive the logs.
+
+import fs from "node:fs";
+import express from "express";
+import { dateStamp, packetHex } from "./util.js";
+
+const TIMELINE_MINUTES = 1440;                 // keep 24h of per-minute buckets
+const MINUTE = 60_000;
+const LIVE_DAYS = 8;                           // days kept with full unique sets
+const ROLLUP_DAYS = 730;                       // daily rollups kept on disk
+
+// Named windows for /timeline and the bucket size used for each
+const WINDOWS = {
+  "1h":  { minutes: 60,   step: 1 },
+  "2h":  { minutes: 120,  step: 1 },
+  "6h":  { minutes: 360,  step: 5 },
+  "24h": { minutes: 1440, step: 15 },
+};
+
+const minuteKey = (ms) => new Date(Math.floor(ms / MINUTE) * MINUTE).toISOString().slice(0, 16);
+
+function incMap(map, key, by = 1) { map.set(key, (map.get(key) || 0) + by); }
+
+const topN = (map, n, name) =>
+  [...map.entries()].sort((a, b) => b[1] - a[1]).slice(0, n)
+    .map(([key, count]) => ({ [name]: key, count }));
+
+// Packet time for rebuilds; live packets are bucketed by arrival time
+export function packetTimeMs(pkt) {
+  const t = pkt?.vdl2?.t;
+  if (t?.sec) return t.sec * 1000 + (t.usec || 0) / 1000;
+  const iso = Date.parse(pkt?.timestamp_iso ?? "");
+  return Number.isFinite(iso) ? iso : null;
+}
+
+// Monday of the week containing a YYYY-MM-DD date
+function weekOf(dStr) {
+  const d = new Date(`${dStr}T00:00:00`);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return dateStamp(d);
+}
+
+export function createEventStats({ checkpointFile } = {}) {
+  let totalPackets = 0;
+  let milPackets = 0;
+  const uniqueHex = new Set();
+  const milHex = new Set();
+  const uniqueFlights = new Set();
+  const topOwners = new Map();
+  const topModels = new Map();
+  const frequencies = new Map();               // Hz -> count
+  const timeline = new Map();                  // "YYYY-MM-DDTHH:MM" -> bucket
+
+  // Long-term rollups
+  const firstSeen = new Map();                 // hex -> YYYY-MM-DD it was first heard
+  const days = new Map();                      // YYYY-MM-DD -> { packets, mil, hexes, flights }
+  const rollups = new Map();                   // YYYY-MM-DD -> { packets, mil, aircraft, flights }
+
+  function bucketFor(ms) {
+    const key = minuteKey(ms);
+    let bucket = timeline.get(key);
+    if (!bucket) {
+      bucket = { time: key, count: 0, mil: 0, hexes: new Set(), flights: new Set() };
+      timeline.set(key, bucket);
+      // Drop anything older than 24h (once per new minute, so cheap)
+      const cutoff = minuteKey(ms - TIMELINE_MINUTES * MINUTE);
+      for (const k of timeline.keys()) {
+        if (k <= cutoff) timeline.delete(k);
+      }
+    }
+    return bucket;
+  }
+
+  function dayFor(dStr) {
+    let day = days.get(dStr);
+    if (!day) {
+      day = { packets: 0, mil: 0, hexes: new Set(), flights: new Set() };
+      days.set(dStr, day);
+    }
+    return day;
+  }
+
+  function update(pkt, at = Date.now()) {
+    totalPackets++;
+    const hex = packetHex(pkt);
+    const flight = pkt.vdl2?.avlc?.acars?.flight || "";
+    const owner = pkt.db?.ownop || "Unknown";
+    const model = pkt.db?.icaotype || "Unknown";
+    const mil = !!pkt.db?.mil;
+
+    if (hex) uniqueHex.add(hex);
+    if (flight) uniqueFlights.add(flight);
+    if (mil) {
+      milPackets++;
+      if (hex) milHex.add(hex);
+    }
+
+    incMap(topOwners, owner);
+    incMap(topModels, model);
+    if (pkt.vdl2?.freq) incMap(frequencies, pkt.vdl2.freq);
+
+    const bucket = bucketFor(at);
+    bucket.count++;
+    if (mil) bucket.mil++;
+    if (hex) bucket.hexes.add(hex);
+    if (flight) bucket.flights.add(flight);
+
+    // Replays show up in the live numbers but never in the daily rollups,
+    // which outlive the logs they were replayed from
+    if (pkt.replay) return;
+    const dStr = dateStamp(new Date(at));
+    const day = dayFor(dStr);
+    day.packets++;
+    if (mil) day.mil++;
+    if (hex) day.hexes.add(hex);
+    if (flight) day.flights.add(flight);
+    if (hex && (!firstSeen.has(hex) || firstSeen.get(hex) > dStr)) firstSeen.set(hex, dStr);
+  }
+
+  function summary() {
+    return {
+      totalPackets,
+      uniqueAircraft: uniqueHex.size,
+      uniqueFlights: uniqueFlights.size,
+      topOwners: topN(topOwners, 10, "owner"),
+      topModels: topN(topModels, 10, "model"),
+      military: { packets: milPackets, aircraft: milHex.size },
+      civilian: { packets: totalPackets - milPackets, aircraft: uniqueHex.size - milHex.size },
+      frequencies: [...frequencies.entries()].sort((a, b) => a[0] - b[0])
+        .map(([freq, count]) => ({ freq, count })),
+    };
+  }
+
+  // Zero-filled series over the window, merged into `step`-minute buckets
+  function series({ minutes, step }, now = Date.now()) {
+    const end = Math.floor(now / MINUTE) * MINUTE;
+    const stepMs = step * MINUTE;
+    const start = Math.floor((end - (minutes - 1) * MINUTE) / stepMs) * stepMs;
+    const out = [];
+    for (let t = start; t <= end; t += step * MINUTE) {
+      const merged = { time: minuteKey(t), count: 0, mil: 0, hexes: new Set(), flights: new Set() };
+      for (let i = 0; i < step && t + i * MINUTE <= end; i++) {
+        const b = timeline.get(minuteKey(t + i * MINUTE));
+        if (!b) continue;
+        merged.count += b.count;
+        merged.mil += b.mil;
+        for (const h of b.hexes) merged.hexes.add(h);
+        for (const f of b.flights) merged.flights.add(f);
+      }
+      out.push({
+        time: merged.time,
+        count: merged.count,
+        mil: merged.mil,
+        aircraft: merged.hexes.size,
+        flights: merged.flights.size,
+      });
+    }
+    return out;
+  }
+
+  /* =========================
+     Rollups
+     ========================= */
+  // Fold live days into numeric rollups and forget old detail. After a restart
+  // the oldest rebuilt day starts partway through (the retention cut), so a
+  // day only ever grows: the checkpointed rollup wins where it is larger.
+  function settleDays() {
+    const keepFrom = dateStamp(new Date(Date.now() - LIVE_DAYS * 86400000));
+    for (const [dStr, day] of days) {
+      const prev = rollups.get(dStr) || {};
+      rollups.set(dStr, {
+        packets: Math.max(day.packets, prev.packets || 0),
+        mil: Math.max(day.mil, prev.mil || 0),
+        aircraft: Math.max(day.hexes.size, prev.aircraft || 0),
+        flights: Math.max(day.flights.size, prev.flights || 0),
+      });
+      if (dStr < keepFrom) days.delete(dStr);
+    }
+    const rollupFrom = dateStamp(new Date(Date.now() - ROLLUP_DAYS * 86400000));
+    for (const dStr of rollups.keys()) {
+      if (dStr < rollupFrom) rollups.delete(dStr);
+    }
+  }
+
+  function daily() {
+    settleDays();
+    const newByDay = new Map();
+    for (const dStr of firstSeen.values()) incMap(newByDay, dStr);
+    return [...rollups.entries()].sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([date, r]) => ({ date, ...r, newAircraft: newByDay.get(date) || 0 }));
+  }
+
+  function weekly() {
+    const weeks = new Map();
+    for (const d of daily()) {
+      const week = weekOf(d.date);
+      const w = weeks.get(week) || { week, days: 0, packets: 0, mil: 0, newAircraft: 0, peakDailyAircraft: 0 };
+      w.days++;
+      w.packets += d.packets;
+      w.mil += d.mil;
+      w.newAircraft += d.newAircraft;
+      w.peakDailyAircraft = Math.max(w.peakDailyAircraft, d.aircraft);
+      weeks.set(week, w);
+    }
+    return [...weeks.values()];
+  }
+
+  /* =========================
+     Checkpoint + rebuild
+     ========================= */
+  function checkpoint() {
+    if (!checkpointFile) return;
+    settleDays();
+    const state = {
+      version: 1,
+      savedAt: new Date().toISOString(),
+      firstSeen: Object.fromEntries(firstSeen),
+      rollups: Object.fromEntries(rollups),
+      snapshot: {
+        totalPackets,
+        milPackets,
+        uniqueHex: [...uniqueHex],
+        milHex: [...milHex],
+        uniqueFlights: [...uniqueFlights],
+        topOwners: [...topOwners],
+        topModels: [...topModels],
+        frequencies: [...frequencies],
+        timeline: [...timeline.values()].map((b) => ({ ...b, hexes: [...b.hexes], flights: [...b.flights] })),
+      },
+    };
+    try {
+      const tmp = `${checkpointFile}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(state));
+      fs.renameSync(tmp, checkpointFile);
+    } catch (err) {
+      console.error("❌ Failed to checkpoint event stats:", err.message);
+    }
+  }
+
+  // Loads rollups from the checkpoint; returns its live snapshot (if any)
+  function loadCheckpoint() {
+    if (!checkpointFile || !fs.existsSync(checkpointFile)) return null;
+    try {
+      const state = JSON.parse(fs.readFileSync(checkpointFile, "utf8"));
+      for (const [hex, dStr] of Object.entries(state.firstSeen || {})) firstSeen.set(hex, dStr);
+      for (const [dStr, r] of Object.entries(state.rollups || {})) rollups.set(dStr, r);
+      console.log(`📈 Loaded event checkpoint from ${state.savedAt} (${rollups.size} daily rollups)`);
+      return state.snapshot || null;
+    } catch (err) {
+      console.error("❌ Failed to load event checkpoint:", err.message);
+      return null;
+    }
+  }
+
+  // Adds a checkpoint snapshot to the live counters. The pipeline may already
+  // have counted packets since boot, so this merges instead of replacing.
+  function mergeSnapshot(s) {
+    totalPackets += s.totalPackets || 0;
+    milPackets += s.milPackets || 0;
+    for (const hex of s.uniqueHex || []) uniqueHex.add(hex);
+    for (const hex of s.milHex || []) milHex.add(hex);
+    for (const flight of s.uniqueFlights || []) uniqueFlights.add(flight);
+    for (const [key, n] of s.topOwners || []) incMap(topOwners, key, n);
+    for (const [key, n] of s.topModels || []) incMap(topModels, key, n);
+    for (const [key, n] of s.frequencies || []) incMap(frequencies, key, n);
+
+    const cutoff = minuteKey(Date.now() - TIMELINE_MINUTES * MINUTE);
+    for (const b of s.timeline || []) {
+      if (b.time <= cutoff) continue;
+      const bucket = timeline.get(b.time) ||
+        { time: b.time, count: 0, mil: 0, hexes: new Set(), flights: new Set() };
+      bucket.count += b.count || 0;
+      bucket.mil += b.mil || 0;
+      for (const hex of b.hexes || []) bucket.hexes.add(hex);
+      for (const flight of b.flights || []) bucket.flights.add(flight);
+      timeline.set(b.time, bucket);
+    }
+  }
+
+  // Replays retained logs into the aggregation. `packets` is an async
+  // iterable (e.g. history.searchLogs); packets at/after `before` are skipped
+  // because the live pipeline has already counted them.
+  async function rebuild(packets, { before = Date.now() } = {}) {
+    const snapshot = loadCheckpoint();
+    let count = 0;
+    for await (const pkt of packets) {
+      const at = packetTimeMs(pkt);
+      if (at === null || at >= before) continue;
+      update(pkt, at);
+      count++;
+    }
+    if (!count && snapshot) {
+      mergeSnapshot(snapshot);
+      console.log("📈 No retained logs to rebuild from — merged the checkpointed event stats into the live ones");
+    } else {
+      console.log(`📈 Rebuilt event stats from logs (${count} packets)`);
+    }
+    return count;
+  }
+
+  /* ---------- /api/events routes ---------- */
+  const router = express.Router();
+  router.get("/summary", (req, res) => res.json(summary()));
+
+  // GET /timeline?window=1h|2h|6h|24h[&step=<minutes>]
+  router.get("/timeline", (req, res) => {
+    const name = req.query.window || "2h";
+    const win = WINDOWS[name];
+    if (!win) {
+      return res.status(400).json({ error: `Unknown window '${name}' (use ${Object.keys(WINDOWS).join(", ")})` });
+    }
+    let step = win.step;
+    if (req.query.step !== undefined) {
+      step = parseInt(req.query.step, 10);
+      if (!(step >= 1 && step <= win.minutes)) {
+        return res.status(400).json({ error: `'step' must be between 1 and ${win.minutes} minutes` });
+      }
+    }
+    res.json({ window: name, step, buckets: series({ minutes: win.minutes, step }) });
+  });
+
+  // GET /rollups?period=daily|weekly[&limit=<n>]
+  router.get("/rollups", (req, res) => {
+    const period = req.query.period || "daily";
+    if (!["daily", "weekly"].includes(period)) {
+      return res.status(400).json({ error: "'period' must be daily or weekly" });
+    }
+    const rows = period === "daily" ? daily() : weekly();
+    const limit = parseInt(req.query.limit, 10);
+    res.json({ period, rows: limit > 0 ? rows.slice(-limit) : rows });
+  });
+
+  return { update, summary, series, daily, weekly, checkpoint, rebuild, router };
+}
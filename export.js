@@ -0,0 +1,201 @@
+// export.js — /api/export: packets as CSV, JSON array, NDJSON or an ACARS transcript
+// Two sources:
+//   - the daily JSONL logs (searchLogs from history.js) for a time range and
+//     the live table's filters: the subscription keys of filter.js, `military`
+//     (DB flag or military address block, like "Show only military") and `q`
+//     (the search box)
+//   - the WebSocket backlog for `seqs` of one server run (`epoch`): "Export
+//     current view" sends the rows the live table shows, in its order, so the
+//     file matches it exactly. If the run changed or any row fell out of the
+//     backlog, the log query (oldest first) is used instead; X-Export-Source
+//     says which one answered.
+// Output is written as it is read, so large ranges never sit in memory.
+
+import { once } from "node:events";
+import express from "express";
+import { compileFilter } from "./filter.js";
+import { parseHistoryQuery, searchLogs } from "./history.js";
+import { packetHex } from "./util.js";
+
+export const EXPORT_FORMATS = {
+  csv:    { type: "text/csv; charset=utf-8",   ext: "csv" },
+  json:   { type: "application/json",          ext: "json" },
+  ndjson: { type: "application/x-ndjson",      ext: "ndjson" },
+  txt:    { type: "text/plain; charset=utf-8", ext: "txt" },
+};
+
+// Same keys as the live page's URL subscription (app.js SUBSCRIPTION_KEYS)
+const FILTER_KEYS = ["hex", "reg", "flight", "label", "owner", "type", "text", "mil", "pia", "ladd", "direction", "instance"];
+const MAX_SEQS = 5000;
+
+/* =========================
+   Packet fields
+   ========================= */
+const acarsOf = (p) => p?.vdl2?.avlc?.acars || {};
+const stationOf = (p) => p?.ground_station?.name || p?.ground_station?.addr || "";
+const regOf = (p) => p?.db?.reg || (acarsOf(p).reg || "").replace(/^\.+/, "");
+const freqMhz = (p) => (p?.vdl2?.freq ? (p.vdl2.freq / 1e6).toFixed(3) : "");
+const flagOf = (v) => (v ? 1 : "");
+
+const CSV_COLUMNS = [
+  ["timestamp", (p) => p.timestamp_iso],
+  ["hex",       (p) => packetHex(p).toUpperCase()],
+  ["country",   (p) => p.db?.country],
+  ["direction", (p) => p.direction],
+  ["station",   stationOf],
+  ["instance",  (p) => p.instance],
+  ["freq_mhz",  freqMhz],
+  ["reg",       regOf],
+  ["icaotype",  (p) => p.db?.icaotype],
+  ["flight",    (p) => acarsOf(p).flight],
+  ["ownop",     (p) => p.db?.ownop],
+  ["label",     (p) => acarsOf(p).label],
+  ["msg_num",   (p) => acarsOf(p).msg_num],
+  ["text",      (p) => acarsOf(p).msg_text],
+  ["pia",       (p) => flagOf(p.db?.faa_pia)],
+  ["ladd",      (p) => flagOf(p.db?.faa_ladd)],
+  ["mil",       (p) => flagOf(p.db?.mil)],
+  ["mil_block", (p) => flagOf(p.db?.mil_block)],
+];
+
+// RFC 4180: quote fields with separators, quotes or line breaks
+function csvField(v) {
+  const s = (v ?? "").toString();
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One block per message:
+//   2026-01-01 12:00:00 UTC  136.975 MHz  downlink  3C4B26 D-ABYA LH0400  via Mexico City
+//     Label QP  M01A
+//     <message text, indented>
+function transcriptEntry(p) {
+  const acars = acarsOf(p);
+  const head = [
+    (p.timestamp_iso || "").replace("T", " ").replace(/\.\d+Z$|Z$/, " UTC"),
+    freqMhz(p) && `${freqMhz(p)} MHz`,
+    p.direction,
+    [packetHex(p).toUpperCase(), regOf(p), acars.flight].filter(Boolean).join(" "),
+    stationOf(p) && `via ${stationOf(p)}`,
+  ].filter(Boolean).join("  ");
+  const lines = [head];
+  if (acars.label) lines.push(`  Label ${acars.label}${acars.msg_num ? `  ${acars.msg_num}${acars.msg_num_seq || ""}` : ""}`);
+  if (acars.msg_text) lines.push(...acars.msg_text.split(/\r?\n/).map((l) => `  ${l}`));
+  return lines.join("\n") + "\n\n";
+}
+
+const FORMATTERS = {
+  csv:    { head: CSV_COLUMNS.map(([name]) => name).join(",") + "\r\n",
+            row: (p) => CSV_COLUMNS.map(([, get]) => csvField(get(p))).join(",") + "\r\n", tail: "" },
+  json:   { head: "[\n", row: (p, i) => (i ? ",\n" : "") + JSON.stringify(p), tail: "\n]\n" },
+  ndjson: { head: "", row: (p) => JSON.stringify(p) + "\n", tail: "" },
+  txt:    { head: "", row: transcriptEntry, tail: "" },
+};
+
+/* =========================
+   Query parsing
+   ========================= */
+// "140-100,152" → [140, 139, …, 100, 152]: order kept, ranges may count down
+function parseSeqs(raw) {
+  if (!raw) return null;
+  const seqs = new Set();
+  for (const part of raw.toString().split(",")) {
+    const m = /^(\d+)(?:-(\d+))?$/.exec(part.trim());
+    if (!m) throw new Error(`Invalid seqs entry '${part}'`);
+    const first = Number(m[1]);
+    const last = m[2] ? Number(m[2]) : first;
+    if (seqs.size + Math.abs(last - first) + 1 > MAX_SEQS) throw new Error(`At most ${MAX_SEQS} seqs`);
+    const step = last < first ? -1 : 1;
+    for (let s = first; s !== last + step; s += step) seqs.add(s);
+  }
+  return [...seqs];
+}
+
+// What the live table's search box matches against
+function searchableText(p) {
+  const db = p.db || {};
+  return [packetHex(p), db.country, db.country_iso, p.direction, stationOf(p), p.instance, p.timestamp_iso,
+    regOf(p), db.icaotype, acarsOf(p).flight, db.ownop, acarsOf(p).label, acarsOf(p).msg_text]
+    .filter(Boolean).join("\n").toLowerCase();
+}
+
+// -> { format, range, limit, seqs, epoch, test(pkt) }; throws on bad input
+function parseExportQuery(q) {
+  const format = (q.format || "csv").toString();
+  if (!EXPORT_FORMATS[format]) throw new Error(`'format' must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+  const range = parseHistoryQuery({ from: q.from, to: q.to });
+  const filter = compileFilter(Object.fromEntries(FILTER_KEYS.filter((k) => q[k] !== undefined).map((k) => [k, q[k]])));
+  const military = ["1", "true", "yes"].includes((q.military ?? "").toString().toLowerCase());
+  const search = (q.q ?? "").toString().trim().toLowerCase();
+  let limit = Infinity;
+  if (q.limit !== undefined) {
+    limit = parseInt(q.limit, 10);
+    if (!(limit > 0)) throw new Error("'limit' must be a positive integer");
+  }
+  return {
+    format,
+    range,
+    limit,
+    seqs: parseSeqs(q.seqs),
+    epoch: Number(q.epoch),
+    test: (p) => filter.test(p) &&
+      (!military || !!p.db?.mil || !!p.db?.mil_block) &&
+      (!search || searchableText(p).includes(search)),
+  };
+}
+
+/* =========================
+   Router
+   ========================= */
+// buffered(epoch, seqs): packets for those seqs from the WebSocket backlog in
+// the same order, or null when that run or any of those seqs is gone
+export default function exportRouter({ logPathFor, buffered }) {
+  const router = express.Router();
+
+  async function* fromLogs(query, signal) {
+    for await (const pkt of searchLogs(logPathFor, query.range, signal)) {
+      if (query.test(pkt)) yield pkt;
+    }
+  }
+
+  // GET /api/export?format=csv|json|ndjson|txt&from=&to=&<filter keys>&military=1&q=&limit=
+  //                 [&epoch=&seqs=25,20-1]
+  router.get("/", async (req, res) => {
+    let query;
+    try {
+      query = parseExportQuery(req.query);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const ac = new AbortController();
+    res.on("close", () => { if (!res.writableEnded) ac.abort(); });
+
+    const fromBuffer = query.seqs ? buffered(query.epoch, query.seqs) : null;
+    const source = fromBuffer ? "buffer" : "logs";
+    const packets = fromBuffer || fromLogs(query, ac.signal);
+    const { type, ext } = EXPORT_FORMATS[query.format];
+    const stamp = (t) => new Date(t).toISOString().slice(0, 16).replace(/:/g, "");
+    const fmt = FORMATTERS[query.format];
+
+    res.type(type);
+    res.set("X-Export-Source", source);
+    res.attachment(`vdl2-${stamp(query.range.from)}_${stamp(query.range.to)}.${ext}`);
+
+    let count = 0;
+    try {
+      res.write(fmt.head);
+      for await (const pkt of packets) {
+        if (count >= query.limit) break;
+        // Respect backpressure so a slow client doesn't buffer the whole range
+        if (!res.write(fmt.row(pkt, count++))) await once(res, "drain", { signal: ac.signal });
+      }
+      res.end(fmt.tail);
+      console.log(`📤 Export ${query.format} from ${source}: ${count} packet(s)`);
+    } catch (err) {
+      if (!ac.signal.aborted) console.error("❌ Export failed:", err.message);
+      res.end();
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,129 @@
+// filter.js — Packet filter specs (WebSocket subscriptions and other consumers)
+//
+// Spec shape (every field optional, all given fields must match):
+//   { hex: ["ae1234"], reg: ["N*"], flight: ["DAL*"], label: ["H1"],
+//     owner: "air force", type: ["C17", "K35*"], text: "MAYDAY",
+//     mil: true, pia: true, ladd: true, direction: ["uplink"], instance: ["default"] }
+// `mil` is the DB flag or a military address block (db.mil_block, icao.js),
+// the same as the export's military filter.
+// `text` is a case-insensitive substring of acars.msg_text. Only callers that
+// pass { regex: true } (operator-owned alert rules) get it as a regular
+// expression, e.g. "MAYDAY|PAN ?PAN": every filter runs against every packet
+// on the ingest path, so viewers can't install a pattern that backtracks.
+// Patterns that are known to backtrack badly are refused, and a regex only
+// sees the first MAX_MATCH_LENGTH characters of the message, which bounds
+// the cost of the ones the checks miss.
+
+import { normalizeHex, packetHex, classifyFrame } from "./util.js";
+
+const DIRECTIONS = ["uplink", "downlink", "unknown"];
+const MAX_TEXT_LENGTH = 200;
+const MAX_MATCH_LENGTH = 1024;
+
+const list = (v) =>
+  (v === undefined || v === null || v === "" ? [] : Array.isArray(v) ? v : v.toString().split(","))
+    .map((s) => s.toString().trim())
+    .filter(Boolean);
+
+// Shell-style wildcards: * any run, ? single char; case-insensitive, anchored
+function globToRegExp(pattern) {
+  const body = pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${body}$`, "i");
+}
+
+function flag(v, name) {
+  if (v === undefined || v === null || v === "") return undefined;
+  if (typeof v === "boolean") return v;
+  if (["1", "true", "yes"].includes(v.toString().toLowerCase())) return true;
+  if (["0", "false", "no"].includes(v.toString().toLowerCase())) return false;
+  throw new Error(`Invalid value for '${name}': expected true/false`);
+}
+
+// A quantified group that itself contains a quantifier, e.g. (a+)+ or (\w*x)*
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,\d*\})/;
+// A quantified group with alternatives, which may overlap, e.g. (a|ab)*
+const REPEATED_ALTERNATION = /\((?:[^()\\]|\\.)*\|(?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,\d*\})/;
+
+function compileText(text, regex) {
+  if (!text) return null;
+  if (text.length > MAX_TEXT_LENGTH) throw new Error(`'text' is at most ${MAX_TEXT_LENGTH} characters`);
+  if (!regex) {
+    const needle = text.toLowerCase();
+    return (msg) => msg.toLowerCase().includes(needle);
+  }
+  if (NESTED_QUANTIFIER.test(text)) throw new Error("Invalid text regex: nested quantifiers are not allowed");
+  if (REPEATED_ALTERNATION.test(text)) throw new Error("Invalid text regex: repeated alternations are not allowed");
+  let re;
+  try {
+    re = new RegExp(text, "i");
+  } catch (err) {
+    throw new Error(`Invalid text regex: ${err.message}`);
+  }
+  return (msg) => re.test(msg.length > MAX_MATCH_LENGTH ? msg.slice(0, MAX_MATCH_LENGTH) : msg);
+}
+
+// Validates a spec and returns { spec, test(pkt) }; throws on bad input.
+// options.regex: treat `text` as a regular expression (see above)
+export function compileFilter(raw = {}, { regex = false } = {}) {
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new Error("Filter must be an object");
+
+  const hexes = list(raw.hex);
+  if (hexes.some((h) => !/^[0-9a-f]{1,6}$/i.test(h))) throw new Error("Invalid hex in filter");
+
+  const directions = list(raw.direction).map((d) => d.toLowerCase());
+  if (directions.some((d) => !DIRECTIONS.includes(d))) {
+    throw new Error(`Invalid direction in filter: expected ${DIRECTIONS.join(", ")}`);
+  }
+
+  const spec = {
+    hex:    hexes.map(normalizeHex),
+    reg:    list(raw.reg).map((r) => r.replace(/^\.+/, "")),
+    flight: list(raw.flight),
+    label:  list(raw.label).map((l) => l.toUpperCase()),
+    owner:  (raw.owner ?? "").toString().trim().toLowerCase(),
+    type:   list(raw.type).map((t) => t.toUpperCase()),
+    text:   (raw.text ?? "").toString(),
+    mil:    flag(raw.mil, "mil"),
+    pia:    flag(raw.pia, "pia"),
+    ladd:   flag(raw.ladd, "ladd"),
+    direction: directions,
+    instance: list(raw.instance),
+  };
+
+  const regRes = spec.reg.map(globToRegExp);
+  const flightRes = spec.flight.map(globToRegExp);
+  const typeRes = spec.type.map(globToRegExp);
+  const textMatch = compileText(spec.text, regex);
+  const hexSet = new Set(spec.hex);
+
+  function test(pkt) {
+    const avlc = pkt?.vdl2?.avlc || {};
+    const acars = avlc.acars || {};
+    const db = pkt?.db || {};
+
+    if (hexSet.size) {
+      if (!hexSet.has(packetHex(pkt))) return false;
+    }
+    if (regRes.length) {
+      const regs = [db.reg, (acars.reg || "").replace(/^\.+/, "")].filter(Boolean);
+      if (!regs.some((r) => regRes.some((re) => re.test(r)))) return false;
+    }
+    if (flightRes.length && !flightRes.some((re) => re.test(acars.flight || ""))) return false;
+    if (spec.label.length && !spec.label.includes((acars.label || "").toUpperCase())) return false;
+    if (spec.owner && !(db.ownop || "").toLowerCase().includes(spec.owner)) return false;
+    if (typeRes.length && !typeRes.some((re) => re.test(db.icaotype || ""))) return false;
+    if (textMatch && !textMatch(acars.msg_text || "")) return false;
+    if (spec.mil !== undefined && !!(db.mil || db.mil_block) !== spec.mil) return false;
+    if (spec.pia !== undefined && !!db.faa_pia !== spec.pia) return false;
+    if (spec.ladd !== undefined && !!db.faa_ladd !== spec.ladd) return false;
+    if (spec.direction.length &&
+        !spec.direction.includes(pkt.direction ?? classifyFrame(avlc).direction)) return false;
+    if (spec.instance.length && !spec.instance.includes(pkt.instance)) return false;
+    return true;
+  }
+
+  return { spec, test };
+}
@@ -0,0 +1,178 @@
+// history.js — Search API over the rotated daily JSONL logs
+// Streams each file line by line so large days never sit in memory.
+
+import fs from "node:fs";
+import readline from "node:readline";
+import express from "express";
+import { dateStamp, normalizeHex, packetHex } from "./util.js";
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT     = 1000;
+const DEFAULT_SPAN  = 24 * 3600 * 1000;   // last 24h when no range given
+
+/* =========================
+   Query parsing
+   ========================= */
+function parseTime(raw) {
+  if (raw === undefined || raw === "") return null;
+  // Accept epoch seconds / milliseconds as well as ISO strings
+  const n = Number(raw);
+  const t = Number.isFinite(n) ? (n < 1e12 ? n * 1000 : n) : Date.parse(raw);
+  return Number.isFinite(t) ? t : NaN;
+}
+
+function parseList(raw) {
+  if (!raw) return [];
+  return (Array.isArray(raw) ? raw : [raw])
+    .flatMap((v) => v.toString().split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// Turns req.query into a normalized search object; throws on bad input
+export function parseHistoryQuery(q = {}) {
+  const now = Date.now();
+  const to = parseTime(q.to) ?? now;
+  const from = parseTime(q.from) ?? to - DEFAULT_SPAN;
+  if (Number.isNaN(from)) throw new Error("Invalid 'from' time");
+  if (Number.isNaN(to)) throw new Error("Invalid 'to' time");
+  if (from > to) throw new Error("'from' must be before 'to'");
+
+  const limit = Math.min(Math.max(parseInt(q.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const offset = Math.max(parseInt(q.offset, 10) || 0, 0);
+
+  const lower = (v) => (v ?? "").toString().trim().toLowerCase();
+  return {
+    from,
+    to,
+    limit,
+    offset,
+    hex:    parseList(q.hex).map(normalizeHex),
+    reg:    lower(q.reg).replace(/^\.+/, ""),
+    flight: lower(q.flight),
+    owner:  lower(q.owner),
+    text:   lower(q.text),
+  };
+}
+
+/* =========================
+   Matching
+   ========================= */
+function packetTime(pkt) {
+  const sec = pkt?.vdl2?.t?.sec;
+  if (sec) return sec * 1000;
+  const t = Date.parse(pkt?.timestamp_iso ?? "");
+  return Number.isFinite(t) ? t : null;
+}
+
+export function matchesHistoryQuery(pkt, query) {
+  const t = packetTime(pkt);
+  if (t === null || t < query.from || t > query.to) return false;
+
+  const avlc = pkt?.vdl2?.avlc || {};
+  const acars = avlc.acars || {};
+  const db = pkt?.db || {};
+
+  if (query.hex.length) {
+    if (!query.hex.includes(packetHex(pkt))) return false;
+  }
+  if (query.reg) {
+    const regs = [db.reg, acars.reg].map((r) => (r || "").toLowerCase().replace(/^\.+/, ""));
+    if (!regs.some((r) => r.includes(query.reg))) return false;
+  }
+  if (query.flight && !(acars.flight || "").toLowerCase().includes(query.flight)) return false;
+  if (query.owner && !(db.ownop || "").toLowerCase().includes(query.owner)) return false;
+  if (query.text && !(acars.msg_text || "").toLowerCase().includes(query.text)) return false;
+  return true;
+}
+
+/* =========================
+   Log file walking
+   ========================= */
+// Files are named by local arrival date, so pad one day either side of the range
+export function logFilesInRange(logPathFor, from, to) {
+  const files = [];
+  const day = new Date(from - 86400000);
+  day.setHours(0, 0, 0, 0);
+  const end = to + 86400000;
+  while (day.getTime() <= end) {
+    const p = logPathFor(dateStamp(day));
+    if (fs.existsSync(p)) files.push(p);
+    day.setDate(day.getDate() + 1);
+  }
+  return files;
+}
+
+// Async generator yielding every matching packet, oldest file first
+export async function* searchLogs(logPathFor, query, signal) {
+  for (const file of logFilesInRange(logPathFor, query.from, query.to)) {
+    const input = fs.createReadStream(file, { encoding: "utf8" });
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const line of rl) {
+        if (signal?.aborted) return;
+        if (!line) continue;
+        let pkt;
+        try { pkt = JSON.parse(line); } catch (_) { continue; }
+        if (matchesHistoryQuery(pkt, query)) yield pkt;
+      }
+    } finally {
+      rl.close();
+      input.destroy();
+    }
+  }
+}
+
+/* =========================
+   Router
+   ========================= */
+export default function historyRouter({ logPathFor }) {
+  const router = express.Router();
+
+  // GET /api/history?from=&to=&hex=&reg=&flight=&owner=&text=&limit=&offset=&format=json|ndjson
+  router.get("/", async (req, res) => {
+    let query;
+    try {
+      query = parseHistoryQuery(req.query);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const ac = new AbortController();
+    res.on("close", () => { if (!res.writableEnded) ac.abort(); });
+
+    const ndjson = req.query.format === "ndjson";
+    if (ndjson) res.type("application/x-ndjson");
+
+    const items = [];
+    let skipped = 0;
+    let count = 0;
+    let hasMore = false;
+    try {
+      for await (const pkt of searchLogs(logPathFor, query, ac.signal)) {
+        if (skipped < query.offset) { skipped++; continue; }
+        if (count >= query.limit) { hasMore = true; break; }
+        count++;
+        if (ndjson) res.write(JSON.stringify(pkt) + "\n");
+        else items.push(pkt);
+      }
+    } catch (err) {
+      console.error("❌ History search failed:", err.message);
+      if (!res.headersSent) return res.status(500).json({ error: err.message });
+      return res.end();
+    }
+
+    if (ndjson) return res.end();
+    res.json({
+      from: new Date(query.from).toISOString(),
+      to: new Date(query.to).toISOString(),
+      offset: query.offset,
+      limit: query.limit,
+      count,
+      nextOffset: hasMore ? query.offset + count : null,
+      items,
+    });
+  });
+
+  return router;
+}
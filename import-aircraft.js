@@ -0,0 +1,58 @@
+// import-aircraft.js — Load or update aircraft.db from an offline aircraft dump
+// Usage: node import-aircraft.js <dump[.gz]> [--db aircraft.db] [--format auto|json|csv|tar1090]
+//                                [--dry-run] [--report report.json]
+// Formats are described in aircraftdb.js. The server can keep running: the
+// import goes through SQLite's WAL and lookups see new rows right away.
+
+import fs from "node:fs";
+import zlib from "node:zlib";
+import { openAircraftDb, parseDump, IMPORT_FORMATS } from "./aircraftdb.js";
+
+function parseArgs(argv) {
+  const out = { file: null, db: process.env.VDL2_DB_PATH || "aircraft.db", format: "auto", dryRun: false, report: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--db") out.db = argv[++i];
+    else if (arg === "--format") out.format = argv[++i];
+    else if (arg === "--report") out.report = argv[++i];
+    else if (arg === "--dry-run") out.dryRun = true;
+    else if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}`);
+    else out.file = arg;
+  }
+  if (!out.file) throw new Error("Missing dump file");
+  if (!IMPORT_FORMATS.includes(out.format)) throw new Error(`--format must be one of: ${IMPORT_FORMATS.join(", ")}`);
+  return out;
+}
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  console.error("Usage: node import-aircraft.js <dump[.gz]> [--db aircraft.db] [--format auto|json|csv|tar1090] [--dry-run] [--report report.json]");
+  process.exit(1);
+}
+
+const aircraftDb = openAircraftDb(args.db);
+const before = aircraftDb.counts();
+let input = fs.createReadStream(args.file);
+if (args.file.endsWith(".gz")) input = input.pipe(zlib.createGunzip());
+
+try {
+  const report = await aircraftDb.importRecords(parseDump(input, args.format), args);
+  console.log(`🗃️  ${args.file} → ${args.db}${report.dryRun ? " (dry run, nothing written)" : ""}`);
+  console.log(`   read ${report.read}, added ${report.added}, changed ${report.changed}, ` +
+    `unchanged ${report.unchanged}, skipped ${report.skipped} in ${report.durationMs} ms`);
+  for (const [field, n] of Object.entries(report.fieldsChanged)) console.log(`   ${field}: ${n} changed`);
+  for (const s of report.samples.skipped.slice(0, 5)) console.log(`   skipped record ${s.record}: ${s.reason}`);
+  console.log(`   aircraft rows: ${before.aircraft} → ${aircraftDb.counts().aircraft}`);
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+    console.log(`   report written to ${args.report}`);
+  }
+} catch (err) {
+  console.error("❌ Import failed:", err.message);
+  process.exitCode = 1;
+} finally {
+  aircraftDb.close();
+}
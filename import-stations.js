@@ -0,0 +1,135 @@
+// import-stations.js — Build data/ground-stations.json from a published station list
+// Usage: node import-stations.js <list> [--out data/ground-stations.json] [--merge] [--dry-run]
+// Accepted lists (format is detected from the content):
+//   - dumpvdl2's --gs-file text format, one station per line:
+//       <addr> [<airport>] [<details>] [<lat lon>] [<operator>]
+//       e.g. 10A6C4 [MMMX] [Mexico City] [19.4363N 99.0721W] [SITA]
+//   - the airframes.io ground station JSON (github.com/airframesio/data,
+//     json/vdl/ground-stations.json): an array, or { ground_stations: [...] }
+// Output entries are what stations.js reads; each keeps a "source" tag so the
+// generated file says where its data came from. --merge keeps entries of the
+// existing file that the new list doesn't have.
+
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_OUT = fileURLToPath(new URL("./data/ground-stations.json", import.meta.url));
+
+function parseArgs(argv) {
+  const out = { file: null, out: DEFAULT_OUT, merge: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--out") out.out = argv[++i];
+    else if (arg === "--merge") out.merge = true;
+    else if (arg === "--dry-run") out.dryRun = true;
+    else if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}`);
+    else out.file = arg;
+  }
+  if (!out.file) throw new Error("Missing station list file");
+  return out;
+}
+
+/* =========================
+   Parsers
+   ========================= */
+const normalizeAddr = (addr) => {
+  const a = (addr ?? "").toString().trim().toUpperCase();
+  return /^[0-9A-F]{1,6}$/.test(a) ? a : null;
+};
+
+// "19.4363N 99.0721W", "19.4363 -99.0721" → { lat, lon }
+function parseLocation(raw) {
+  const hemi = /^(\d+(?:\.\d+)?)\s*([NS])[\s,]+(\d+(?:\.\d+)?)\s*([EW])$/i.exec((raw ?? "").trim());
+  if (hemi) {
+    return {
+      lat: Number(hemi[1]) * (/s/i.test(hemi[2]) ? -1 : 1),
+      lon: Number(hemi[3]) * (/w/i.test(hemi[4]) ? -1 : 1),
+    };
+  }
+  const plain = /^(-?\d+(?:\.\d+)?)[\s,]+(-?\d+(?:\.\d+)?)$/.exec((raw ?? "").trim());
+  return plain ? { lat: Number(plain[1]), lon: Number(plain[2]) } : null;
+}
+
+function stationEntry({ addr, name, airport, operator, lat, lon }, source) {
+  const entry = { addr, name: (name || airport || "").toString().trim() };
+  if (airport) entry.airport = airport.toString().trim().toUpperCase();
+  if (operator) entry.operator = operator.toString().trim();
+  if (Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+    entry.lat = Math.round(lat * 1e4) / 1e4;
+    entry.lon = Math.round(lon * 1e4) / 1e4;
+  }
+  entry.source = source;
+  return entry;
+}
+
+function parseGsFile(text) {
+  const stations = [];
+  let skipped = 0;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.trimStart().startsWith("#")) continue;
+    const addr = normalizeAddr(line.trim().split(/\s+/)[0]);
+    if (!addr) { skipped++; continue; }
+    const [airport, details, location, operator] = [...line.matchAll(/\[([^\]]*)\]/g)].map((m) => m[1].trim());
+    stations.push(stationEntry({ addr, name: details, airport, operator, ...parseLocation(location) }, "dumpvdl2"));
+  }
+  return { stations, skipped };
+}
+
+function parseAirframesJson(data) {
+  const list = Array.isArray(data) ? data : data?.ground_stations || data?.groundStations || data?.stations;
+  if (!Array.isArray(list)) throw new Error("JSON list must be an array or { ground_stations: [...] }");
+  const stations = [];
+  let skipped = 0;
+  for (const s of list) {
+    const addr = normalizeAddr(s?.addr ?? s?.address ?? s?.icao ?? s?.id);
+    if (!addr) { skipped++; continue; }
+    const airport = typeof s.airport === "object" ? s.airport?.icao || s.airport?.icao_code : s.airport;
+    const loc = s.location || s.airport?.location || {};
+    stations.push(stationEntry({
+      addr,
+      name: s.name || s.description || s.airport?.name || s.city,
+      airport,
+      operator: s.operator || s.network,
+      lat: Number(s.lat ?? s.latitude ?? loc.lat ?? loc.latitude),
+      lon: Number(s.lon ?? s.longitude ?? loc.lon ?? loc.lng ?? loc.longitude),
+    }, "airframes"));
+  }
+  return { stations, skipped };
+}
+
+/* =========================
+   Main
+   ========================= */
+let args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  console.error("Usage: node import-stations.js <list> [--out data/ground-stations.json] [--merge] [--dry-run]");
+  process.exit(1);
+}
+
+try {
+  const text = fs.readFileSync(args.file, "utf8");
+  const { stations, skipped } = /^\s*[[{]/.test(text) ? parseAirframesJson(JSON.parse(text)) : parseGsFile(text);
+
+  const byAddr = new Map();
+  if (args.merge && fs.existsSync(args.out)) {
+    for (const s of JSON.parse(fs.readFileSync(args.out, "utf8"))) byAddr.set(normalizeAddr(s.addr), s);
+  }
+  const before = byAddr.size;
+  for (const s of stations) byAddr.set(s.addr, s);
+  const merged = [...byAddr.values()].sort((a, b) => a.addr.localeCompare(b.addr));
+
+  console.log(`📡 ${args.file}: ${stations.length} station(s), ${skipped} line(s) skipped` +
+    `${args.merge ? `, merged with ${before} existing` : ""} → ${merged.length} in ${args.out}` +
+    `${args.dryRun ? " (dry run, nothing written)" : ""}`);
+  if (!args.dryRun) {
+    const tmp = `${args.out}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(merged, null, 2) + "\n");
+    fs.renameSync(tmp, args.out);
+  }
+} catch (err) {
+  console.error("❌ Import failed:", err.message);
+  process.exitCode = 1;
+}
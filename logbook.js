@@ -0,0 +1,107 @@
+// logbook.js — Per-instance decoder log: ring buffer, subscribers, rotation
+// Every line is kept as { seq, ts, stream, level, text } so the controller
+// page can stream and filter it; the same line goes to the on-disk log as
+// "[ts] [ERR] text", which is rotated by size (file, file.1 … file.<keep>).
+//
+// stream: "out" (dumpvdl2 stdout), "err" (stderr), "ctl" (controller/supervisor)
+// level:  debug < info < warn < error (guessed from the text)
+
+import fs from "node:fs";
+
+export const LOG_STREAMS = ["out", "err", "ctl"];
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const FILE_PREFIX = { out: "[OUT] ", err: "[ERR] ", ctl: "" };
+
+const ERROR_RE = /\b(error|errors|fail|failed|failure|fatal|cannot|can't|unable|not found|no such|invalid|abort(ed)?)\b/i;
+const WARN_RE = /\b(warn|warning|dropped|overflow|lost|retry(ing)?|timed? ?out|still running|restarting)\b/i;
+
+export function parseLevel(text, stream) {
+  if (stream === "ctl" && text.startsWith("HTTP ")) return "debug";
+  if (ERROR_RE.test(text)) return "error";
+  if (WARN_RE.test(text)) return "warn";
+  return "info";
+}
+
+// "out,err" → ["out", "err"]; throws on unknown names
+export function parseStreams(raw) {
+  if (!raw) return LOG_STREAMS;
+  const list = String(raw).split(",").map((s) => s.trim()).filter(Boolean);
+  const bad = list.find((s) => !LOG_STREAMS.includes(s));
+  if (bad) throw new Error(`Unknown log stream '${bad}', expected ${LOG_STREAMS.join(", ")}`);
+  return list;
+}
+
+export function parseMinLevel(raw) {
+  if (!raw) return LOG_LEVELS[0];
+  if (!LOG_LEVELS.includes(raw)) throw new Error(`Unknown log level '${raw}', expected ${LOG_LEVELS.join(", ")}`);
+  return raw;
+}
+
+export const matchesFilter = (e, { streams = LOG_STREAMS, minLevel = "debug" } = {}) =>
+  streams.includes(e.stream) && LOG_LEVELS.indexOf(e.level) >= LOG_LEVELS.indexOf(minLevel);
+
+export const formatEntry = (e) => `[${e.ts}] ${FILE_PREFIX[e.stream]}${e.text}`;
+
+export function createLogBook({ file, maxLines = 5000, maxBytes = 10 * 1024 * 1024, keep = 5, echo = console.log }) {
+  let entries = [];
+  let seq = 0;
+  const subscribers = new Set();
+  let size = 0;
+  try {
+    size = fs.statSync(file).size;
+  } catch (_) {}
+
+  function rotate() {
+    for (let i = keep - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+    fs.renameSync(file, `${file}.1`);
+    size = 0;
+  }
+
+  function writeFile(line) {
+    try {
+      if (size >= maxBytes) rotate();
+      fs.appendFileSync(file, line);
+      size += Buffer.byteLength(line);
+    } catch (err) {
+      console.error(`❌ Failed writing ${file}:`, err.message);
+    }
+  }
+
+  function append(text, stream = "ctl") {
+    const entry = { seq: ++seq, ts: new Date().toISOString(), stream, level: parseLevel(text, stream), text };
+    const line = formatEntry(entry);
+    echo(line);
+    writeFile(line + "\n");
+    entries.push(entry);
+    if (entries.length > maxLines) entries = entries.slice(-maxLines);
+    for (const fn of subscribers) fn(entry);
+    return entry;
+  }
+
+  // Filtered copy of the buffer; `after` is a seq (for SSE resume)
+  function query({ after = 0, limit = maxLines, ...filter } = {}) {
+    return entries.filter((e) => e.seq > after && matchesFilter(e, filter)).slice(-limit);
+  }
+
+  function subscribe(fn) {
+    subscribers.add(fn);
+    return () => subscribers.delete(fn);
+  }
+
+  // Current file (index 0) plus rotated ones that exist: [{ index, path, size }]
+  function files() {
+    const out = [];
+    for (let i = 0; i <= keep; i++) {
+      const p = i ? `${file}.${i}` : file;
+      try {
+        out.push({ index: i, path: p, size: fs.statSync(p).size });
+      } catch (_) {}
+    }
+    return out;
+  }
+
+  return { append, query, subscribe, files, file, lastSeq: () => seq };
+}
@@ -0,0 +1,200 @@
+// profiles.js — Named dumpvdl2 receiver profiles stored server-side
+// A profile is a saved controller form, validated with the same builder
+// /api/start uses, so anything saved here can be started as-is.
+//
+// File shape:
+//   { default: "home", profiles: [{ id, name, options: { "source": "rtlsdr", ... }, createdAt, updatedAt }] }
+
+import fs from "node:fs";
+import express from "express";
+import { buildDumpvdl2Args, FORM_FIELDS } from "./dumpvdl2.js";
+
+// Written on first start so there is always something to load
+const DEFAULT_PROFILE = {
+  id: "default",
+  name: "Default",
+  options: {
+    "source": "rtlsdr",
+    "rtlsdr.deviceId": "0",
+    "frequencies": "136.975M",
+    "output.what": "decoded",
+    "output.format": "json",
+    "output.type": "udp",
+    "output.udp.address": "localhost",
+  },
+};
+
+const slugify = (name) =>
+  name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40) || "profile";
+
+/* =========================
+   Validation
+   ========================= */
+// Returns { name, options }; throws with err.fields for option errors
+function validateProfile(body, { udpPort }) {
+  if (!body || typeof body !== "object") throw new Error("Profile must be an object");
+  const name = (body.name ?? "").toString().trim();
+  if (!name) throw new Error("Profile 'name' is required");
+  if (name.length > 64) throw new Error("Profile 'name' is too long");
+
+  const options = body.options;
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    throw new Error("Profile 'options' must be an object");
+  }
+  const { errors } = buildDumpvdl2Args(options, { udpPort });
+  if (errors) throw Object.assign(new Error("Invalid options"), { fields: errors });
+
+  // Keep only known fields, in form order
+  const clean = {};
+  for (const key of FORM_FIELDS) if (key in options) clean[key] = options[key];
+  return { name, options: clean };
+}
+
+// Field-by-field differences between two option sets
+export function diffOptions(a = {}, b = {}) {
+  const norm = (v) => (v === undefined || v === null || v === false ? "" : String(v));
+  return FORM_FIELDS
+    .filter((key) => norm(a[key]) !== norm(b[key]))
+    .map((key) => ({ field: key, a: a[key] ?? null, b: b[key] ?? null }));
+}
+
+/* =========================
+   Store
+   ========================= */
+export function createProfileStore({ file, start, udpPort }) {
+  let data = { default: null, profiles: [] };
+
+  function load() {
+    if (!fs.existsSync(file)) {
+      const now = new Date().toISOString();
+      data = { default: "default", profiles: [{ ...DEFAULT_PROFILE, createdAt: now, updatedAt: now }] };
+      save();
+      console.log(`🎛️  Created default receiver profile in ${file}`);
+      return;
+    }
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      data = {
+        default: saved.default ?? null,
+        profiles: Array.isArray(saved.profiles) ? saved.profiles : [],
+      };
+      console.log(`🎛️  Loaded ${data.profiles.length} receiver profile(s) from ${file}`);
+    } catch (err) {
+      console.error("❌ Failed to load receiver profiles:", err.message);
+    }
+  }
+
+  function save() {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  const get = (id) => data.profiles.find((p) => p.id === id) || null;
+
+  function uniqueId(name) {
+    const base = slugify(name);
+    let id = base;
+    for (let n = 2; get(id); n++) id = `${base}-${n}`;
+    return id;
+  }
+
+  function sendError(res, err, status = 400) {
+    res.status(status).json({ error: err.message, ...(err.fields && { fields: err.fields }) });
+  }
+
+  /* ---------- /api/profiles routes ---------- */
+  const router = express.Router();
+  router.use(express.json());
+
+  router.get("/", (req, res) => res.json(data));
+
+  router.get("/:id", (req, res) => {
+    const profile = get(req.params.id);
+    if (!profile) return res.status(404).json({ error: "Profile not found" });
+    res.json(profile);
+  });
+
+  router.post("/", (req, res) => {
+    let body;
+    try {
+      body = validateProfile(req.body, { udpPort });
+    } catch (err) {
+      return sendError(res, err);
+    }
+    const now = new Date().toISOString();
+    const profile = { id: uniqueId(body.name), ...body, createdAt: now, updatedAt: now };
+    data.profiles.push(profile);
+    if (!data.default) data.default = profile.id;
+    try { save(); } catch (err) { return sendError(res, err, 500); }
+    res.status(201).json(profile);
+  });
+
+  router.put("/:id", (req, res) => {
+    const profile = get(req.params.id);
+    if (!profile) return res.status(404).json({ error: "Profile not found" });
+    let body;
+    try {
+      body = validateProfile({ name: profile.name, options: profile.options, ...req.body }, { udpPort });
+    } catch (err) {
+      return sendError(res, err);
+    }
+    Object.assign(profile, body, { updatedAt: new Date().toISOString() });
+    try { save(); } catch (err) { return sendError(res, err, 500); }
+    res.json(profile);
+  });
+
+  router.delete("/:id", (req, res) => {
+    const idx = data.profiles.findIndex((p) => p.id === req.params.id);
+    if (idx < 0) return res.status(404).json({ error: "Profile not found" });
+    data.profiles.splice(idx, 1);
+    if (data.default === req.params.id) data.default = data.profiles[0]?.id ?? null;
+    try { save(); } catch (err) { return sendError(res, err, 500); }
+    res.json({ status: "deleted", id: req.params.id, default: data.default });
+  });
+
+  router.post("/:id/clone", (req, res) => {
+    const source = get(req.params.id);
+    if (!source) return res.status(404).json({ error: "Profile not found" });
+    let body;
+    try {
+      body = validateProfile({ name: req.body?.name ?? `${source.name.slice(0, 57)} (copy)`, options: source.options }, { udpPort });
+    } catch (err) {
+      return sendError(res, err);
+    }
+    const now = new Date().toISOString();
+    const profile = { id: uniqueId(body.name), ...body, createdAt: now, updatedAt: now };
+    data.profiles.push(profile);
+    try { save(); } catch (err) { return sendError(res, err, 500); }
+    res.status(201).json(profile);
+  });
+
+  router.post("/:id/default", (req, res) => {
+    if (!get(req.params.id)) return res.status(404).json({ error: "Profile not found" });
+    data.default = req.params.id;
+    try { save(); } catch (err) { return sendError(res, err, 500); }
+    res.json({ default: data.default });
+  });
+
+  // GET /api/profiles/:id/diff?against=<other id>
+  router.get("/:id/diff", (req, res) => {
+    const a = get(req.params.id);
+    const b = get(req.query.against);
+    if (!a || !b) return res.status(404).json({ error: "Profile not found" });
+    res.json({ a: a.id, b: b.id, changes: diffOptions(a.options, b.options) });
+  });
+
+  // Body: { instance } — defaults to the "default" decoder instance
+  router.post("/:id/start", (req, res) => {
+    const profile = get(req.params.id);
+    if (!profile) return res.status(404).json({ error: "Profile not found" });
+    try {
+      res.json(start(profile.options, { profile: profile.id, instance: req.body?.instance }));
+    } catch (err) {
+      sendError(res, err, err.status || 500);
+    }
+  });
+
+  load();
+  return { get, list: () => data, router };
+}
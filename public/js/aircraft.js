@@ -0,0 +1,124 @@
+// aircraft.js — Aircraft view on the live page (polls /api/aircraft)
+
+const AIRCRAFT_API = "/api/aircraft";
+const AIRCRAFT_REFRESH_MS = 5000;
+
+let aircraftTimer = null;
+let selectedHex = null;
+
+const fmtTime = (iso) => (iso ? iso.replace("T", " ").replace(/\.\d+Z$/, " UTC") : "");
+const fmtPos = (p) =>
+  p ? `${p.lat.toFixed(3)}, ${p.lon.toFixed(3)}${p.alt !== null ? ` @ ${p.alt} ft` : ""}` : "";
+
+function cell(tr, text) {
+  const td = document.createElement("td");
+  td.textContent = text ?? "";
+  tr.appendChild(td);
+  return td;
+}
+
+// =============================
+// List view
+// =============================
+async function refreshAircraft() {
+  const tbody = document.querySelector("#aircraftTable tbody");
+  if (!tbody) return;
+  try {
+    const res = await fetch(AIRCRAFT_API);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { aircraft } = await res.json();
+
+    tbody.innerHTML = "";
+    for (const ac of aircraft) {
+      const tr = document.createElement("tr");
+      tr.dataset.hex = ac.hex;
+      if (ac.db?.mil) tr.classList.add("highlight");
+      if (ac.hex === selectedHex) tr.classList.add("selected");
+
+      cell(tr, ac.hex.toUpperCase());
+      cell(tr, ac.db?.reg);
+      cell(tr, ac.db?.icaotype);
+      cell(tr, ac.db?.ownop);
+      cell(tr, ac.flights.join(" "));
+      cell(tr, fmtTime(ac.firstSeen));
+      cell(tr, fmtTime(ac.lastSeen));
+      cell(tr, ac.count);
+      cell(tr, fmtPos(ac.position));
+      const milCell = cell(tr, "");
+      if (ac.db?.mil) milCell.classList.add("flag-mil");
+
+      tbody.appendChild(tr);
+    }
+    if (selectedHex) showAircraftDetail(selectedHex);
+  } catch (err) {
+    console.error("Failed to fetch aircraft:", err);
+  }
+}
+
+// =============================
+// Detail panel (recent messages)
+// =============================
+async function showAircraftDetail(hex) {
+  const panel = document.getElementById("aircraftDetail");
+  if (!panel) return;
+  try {
+    const res = await fetch(`${AIRCRAFT_API}/${hex}`);
+    if (res.status === 404) {
+      panel.innerHTML = "";
+      selectedHex = null;
+      return;
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const ac = await res.json();
+
+    panel.innerHTML = "";
+    const title = document.createElement("h3");
+    title.textContent = `${ac.hex.toUpperCase()} ${ac.db?.reg || ""} — ${ac.count} messages`;
+    panel.appendChild(title);
+
+    const table = document.createElement("table");
+    const tbody = document.createElement("tbody");
+    for (const m of ac.messages) {
+      const tr = document.createElement("tr");
+      cell(tr, fmtTime(m.time));
+      cell(tr, m.flight);
+      cell(tr, m.label);
+      cell(tr, m.text);
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    panel.appendChild(table);
+  } catch (err) {
+    console.error("Failed to fetch aircraft detail:", err);
+  }
+}
+
+document.addEventListener("click", (e) => {
+  const row = e.target.closest?.("#aircraftTable tbody tr");
+  if (!row || e.target.closest("a")) return;
+  selectedHex = row.dataset.hex;
+  document.querySelectorAll("#aircraftTable tbody tr")
+    .forEach((tr) => tr.classList.toggle("selected", tr === row));
+  showAircraftDetail(selectedHex);
+});
+
+// =============================
+// Messages / Aircraft view switch
+// =============================
+document.addEventListener("click", (e) => {
+  const btn = e.target.closest?.("#viewTabs button");
+  if (!btn) return;
+  const view = btn.dataset.view;
+
+  document.querySelectorAll("#viewTabs button")
+    .forEach((b) => b.classList.toggle("active", b === btn));
+  document.querySelectorAll("#page-livefeed .view")
+    .forEach((v) => v.classList.toggle("active", v.id === `view-${view}`));
+
+  clearInterval(aircraftTimer);
+  aircraftTimer = null;
+  if (view === "aircraft") {
+    refreshAircraft();
+    aircraftTimer = setInterval(refreshAircraft, AIRCRAFT_REFRESH_MS);
+  }
+});
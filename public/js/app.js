@@ -9,12 +9,37 @@ let ws;
 let reconnectDelay = 1000;
 let reconnectTimer;
 
+// Resume state: last sequence number seen and the server run it belongs to
+let lastSeq = 0;
+let serverEpoch = null;
+
+// Wall-display mode: page URL params become a server-side subscription,
+// e.g. /?mil=1 or /?hex=ae1234,ae5678&label=H1
+const SUBSCRIPTION_KEYS = ["hex", "reg", "flight", "label", "owner", "type", "text", "mil", "pia", "ladd", "direction", "instance"];
+function subscriptionFromLocation() {
+  const params = new URLSearchParams(window.location.search);
+  const filter = {};
+  for (const key of SUBSCRIPTION_KEYS) {
+    if (params.has(key)) filter[key] = params.get(key);
+  }
+  return Object.keys(filter).length ? filter : null;
+}
+const subscription = subscriptionFromLocation();
+
 let packetCount = 0;
 let packetsThisSecond = 0;
 let lastPacketTime = Date.now();
 let packetRate = 0;
 
 let showOnlyMil = false; // filter flag
+let renderedRows = []; // what renderTable last showed, for "Export current view"
+const expandedRows = new Set(); // row ids with the decoded detail open
+let rowCounter = 0;
+const DIRECTION_ARROWS = { downlink: "↓", uplink: "↑" };
+
+// "DE" → 🇩🇪 (regional indicator letters); empty for ICAO-reserved blocks
+const flagEmoji = (iso) =>
+  /^[A-Z]{2}$/.test(iso || "") ? String.fromCodePoint(...[...iso].map((c) => 0x1f1a5 + c.charCodeAt(0))) : "";
 
 // Small helpers (partial-safe)
 const $ = (sel) => document.querySelector(sel);
@@ -54,18 +79,100 @@ const milObserver = new MutationObserver(() => bindMilToggle());
 milObserver.observe(document.documentElement, { childList: true, subtree: true });
 
 // =============================
-// Handle incoming UDP packets
+// Handle incoming WebSocket messages
 // =============================
-function handlePacket(event) {
+function handleMessage(event) {
+  let data;
+  try {
+    data = JSON.parse(event.data);
+  } catch (err) {
+    console.error("Parse error:", err);
+    return;
+  }
+
+  if (data.type === "hello") {
+    // Server restarted: its sequence numbers start over (row ids carry the
+    // epoch, so rows from the previous run keep their own ids)
+    if (serverEpoch !== null && data.epoch !== serverEpoch) lastSeq = 0;
+    serverEpoch = data.epoch;
+    return;
+  }
+
+  if (data.type === "subscribed") {
+    console.log("🎯 Subscribed with filter:", data.filter);
+    return;
+  }
+
+  if (data.type === "error") {
+    console.error("⚠️ Server error:", data.error);
+    return;
+  }
+
+  if (data.type === "alert") {
+    showAlert(data);
+    return;
+  }
+
+  if (data.type === "backfill") {
+    for (const pkt of data.packets || []) addPacket(pkt);
+    if (data.gap) console.warn("⚠️ Backfill gap: some packets were missed during the outage");
+    renderTable();
+    return;
+  }
+
+  if (addPacket(data)) {
+    renderTable();
+    trackPacketRate();
+  }
+}
+
+// =============================
+// Alerts (server rules engine)
+// =============================
+// Browsers only allow the permission prompt from a user gesture
+if ("Notification" in window && Notification.permission === "default") {
+  document.addEventListener("click", () => Notification.requestPermission(), { once: true });
+}
+
+function showAlert(alert) {
+  const who = [alert.hex?.toUpperCase(), alert.reg, alert.flight, alert.replay && "(replay)"].filter(Boolean).join(" ");
+  const body = alert.text ? `${who}\n${alert.text.slice(0, 200)}` : who;
+  console.log(`🚨 ${alert.rule.name}: ${who}`);
+
+  const bannerEl = byId("lastAlert");
+  if (bannerEl) {
+    bannerEl.textContent = `🚨 ${alert.rule.name} — ${who} (${alert.time.replace("T", " ").slice(0, 19)} UTC)`;
+    bannerEl.classList.add("active");
+  }
+
+  if (alert.browser && "Notification" in window && Notification.permission === "granted") {
+    new Notification(`🚨 ${alert.rule.name}`, { body, tag: `${alert.rule.id}:${alert.hex}` });
+  }
+}
+
+// =============================
+// Handle incoming packets
+// =============================
+// Returns false for packets already seen (duplicate after a resume)
+function addPacket(data) {
+  if (data.seq) {
+    if (data.seq <= lastSeq) return false;
+    lastSeq = data.seq;
+  }
+
   try {
-    const data = JSON.parse(event.data);
     const vdl2 = data?.vdl2 || {};
     const acars = vdl2?.avlc?.acars || {};
     const text = acars?.msg_text || "";
     const db = data?.db || {};
 
     // --- Extract core fields ---
-    const icao = vdl2?.avlc?.src?.addr?.toUpperCase?.() || "";
+    // Server sets hex to the aircraft side, which is the destination on uplinks
+    const icao = (data.hex ?? vdl2?.avlc?.src?.addr ?? "").toUpperCase();
+    const direction = data.direction || "";
+    const gs = data.ground_station || null;
+    const station = gs ? gs.name || gs.addr : "";
+    const instance = data.instance || ""; // decoder instance that heard it
     const timestampSec = vdl2?.t?.sec ?? null;
     const timestamp = timestampSec
       ? new Date(timestampSec * 1000)
@@ -81,52 +188,98 @@ function handlePacket(event) {
     const faa_pia = db.faa_pia ? "✅" : "";
     const faa_ladd = db.faa_ladd ? "✅" : "";
     const mil = db.mil ? "🪖" : ""; // you currently store the string in the row
+    // From the address block alone (server icao.js): works for aircraft.db misses too
+    const country = db.country || "";
+    const countryIso = db.country_iso || "";
+    const milLikely = !db.mil && !!db.mil_block;
+    const hexInvalid = db.hex_invalid || "";
 
-    // --- Assemble row in the new order (with TXT) ---
-    const row = { icao, timestamp, reg, icaotype, flight, ownop, txt: text, faa_pia, faa_ladd, mil };
-    tableData.unshift(row);
-    if (tableData.length > 500) tableData.pop();
+    const label = acars?.label || "";
+    const decoded = data?.decoded || null;
 
-    renderTable();
+    // --- Assemble row in the new order (with TXT) ---
+    const partial = !!acars?.reassembly?.partial; // multi-block message with missing blocks
 
-    // --- Packet rate tracking ---
-    const now = Date.now();
-    packetsThisSecond++;
-    packetCount++;
-    if (now - lastPacketTime >= 1000) {
-      packetRate = packetsThisSecond / ((now - lastPacketTime) / 1000);
-      packetsThisSecond = 0;
-      lastPacketTime = now;
-
-      const rateEl = byId("packetRate");
-      if (rateEl) rateEl.textContent = `Packets/sec: ${packetRate.toFixed(1)}`;
-    }
+    const id = data.seq ? `s${serverEpoch}-${data.seq}` : `r${++rowCounter}`;
+    const row = { id, icao, country, countryIso, direction, station, instance, timestamp, reg, icaotype, flight, ownop, label, txt: text, faa_pia, faa_ladd, mil, milLikely, hexInvalid, partial, decoded };
+    tableData.unshift(row);
+    if (tableData.length > 500) expandedRows.delete(tableData.pop().id);
   } catch (err) {
-    console.error("Parse error:", err);
+    console.error("Packet error:", err);
+  }
+  return true;
+}
+
+// --- Packet rate tracking (live packets only, not backfill) ---
+function trackPacketRate() {
+  const now = Date.now();
+  packetsThisSecond++;
+  packetCount++;
+  if (now - lastPacketTime >= 1000) {
+    packetRate = packetsThisSecond / ((now - lastPacketTime) / 1000);
+    packetsThisSecond = 0;
+    lastPacketTime = now;
+
+    const rateEl = byId("packetRate");
+    if (rateEl) rateEl.textContent = `Packets/sec: ${packetRate.toFixed(1)}`;
   }
 }
 
 // =============================
 // WebSocket Connection + Auto-Reconnect
 // =============================
-function connectWS() {
-  ws = new WebSocket("ws://localhost:8080");
+// The server tells us where its WebSocket lives (same host/port, under wsPath)
+let wsBaseUrl = null;
+async function resolveWsUrl() {
+  if (wsBaseUrl) return wsBaseUrl;
+  const scheme = location.protocol === "https:" ? "wss:" : "ws:";
+  try {
+    const res = await fetch("/api/config");
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const cfg = await res.json();
+    wsBaseUrl = `${scheme}//${location.host}${cfg.wsPath}`;
+  } catch (err) {
+    // Page not served by server.js (e.g. opened from disk): legacy port
+    console.warn("⚠️ /api/config unavailable, using legacy WebSocket port:", err.message);
+    return `ws://${location.hostname || "localhost"}:8080/`;
+  }
+  return wsBaseUrl;
+}
+
+async function connectWS() {
+  // After a drop, ask the server for everything after the last packet we saw
+  const params = new URLSearchParams();
+  if (lastSeq && serverEpoch !== null) {
+    params.set("since", lastSeq);
+    params.set("epoch", serverEpoch);
+  }
+  if (subscription) params.set("filter", JSON.stringify(subscription));
+  const query = params.toString();
+  const base = await resolveWsUrl();
+  ws = new WebSocket(`${base}${query ? `?${query}` : ""}`);
 
   ws.onopen = () => {
     console.log("🟢 WebSocket connected");
     const statusEl = byId("status");
-    if (statusEl) statusEl.textContent = "🟢 Connected";
+    if (statusEl) statusEl.textContent = subscription ? "🟢 Connected (filtered)" : "🟢 Connected";
     reconnectDelay = 1000;
   };
 
-  ws.onmessage = handlePacket;
+  ws.onmessage = handleMessage;
 
   ws.onerror = (err) => {
     console.error("⚠️ WebSocket error:", err);
     ws.close();
   };
 
-  ws.onclose = () => {
+  ws.onclose = (event) => {
+    // 1008: the server rejected the page's filter; retrying can't fix that
+    if (event.code === 1008) {
+      console.error("⛔ WebSocket refused:", event.reason);
+      const statusEl = byId("status");
+      if (statusEl) statusEl.textContent = `⛔ ${event.reason || "Subscription refused"}`;
+      return;
+    }
     console.log(`🔴 WebSocket closed, retrying in ${reconnectDelay}ms`);
     const statusEl = byId("status");
     if (statusEl) statusEl.textContent = `🔴 Reconnecting in ${reconnectDelay / 1000}s…`;
@@ -148,30 +301,37 @@ function renderTable() {
 
   tbody.innerHTML = "";
 
-  // Filter: show only MIL if toggled (your row.mil is "🪖" or "")
+  // Filter: show only MIL if toggled (your row.mil is "🪖" or ""), military address blocks included
   const filtered = showOnlyMil
-    ? tableData.filter((r) => !!r.mil)  // truthy string means MIL
+    ? tableData.filter((r) => !!r.mil || r.milLikely)  // truthy string means MIL
     : tableData;
 
   // Search
   const query = (searchInput?.value || "").toLowerCase();
   const searched = query
     ? filtered.filter((r) =>
-        Object.values(r).some((v) =>
-          (v ?? "").toString().toLowerCase().includes(query)
+        Object.entries(r).some(([key, v]) =>
+          key !== "id" && typeof v !== "object" && (v ?? "").toString().toLowerCase().includes(query)
         )
       )
     : filtered;
 
   // Sort newest first by timestamp string (already ISO-like)
   searched.sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1));
+  renderedRows = searched;
 
   // Build rows
   for (const row of searched) {
     const tr = document.createElement("tr");
+    tr.dataset.rowId = row.id;
     if (row.mil) tr.classList.add("highlight");
+    if (row.decoded) tr.classList.add("expandable");
+    if (row.partial) {
+      tr.classList.add("partial");
+      tr.title = "Incomplete multi-block message";
+    }
 
-    // Cells in order: ICAO (clickable), Timestamp, Reg, ICAO Type, Flight, Ownop, Text
+    // Cells in order: ICAO (clickable), Country, Station, Timestamp, Reg, ICAO Type, Flight, Ownop, Label, Text
     // ICAO clickable link to ADSB Exchange
     const icaoCell = document.createElement("td");
     if (row.icao) {
@@ -183,14 +343,35 @@ function renderTable() {
       link.classList.add("icaoLink");
       icaoCell.appendChild(link);
     }
+    if (row.hexInvalid) {
+      icaoCell.classList.add("hex-invalid");
+      icaoCell.title = `Not a valid aircraft address (${row.hexInvalid})`;
+    }
     tr.appendChild(icaoCell);
 
+    // Allocating country of the address block: flag, name on hover
+    const countryCell = document.createElement("td");
+    countryCell.textContent = flagEmoji(row.countryIso) || row.countryIso;
+    countryCell.title = row.country + (row.milLikely ? " — military address block" : "");
+    tr.appendChild(countryCell);
+
+    // Direction arrow + ground station: ↓ air-to-ground, ↑ ground-to-air
+    const stationCell = document.createElement("td");
+    const arrow = DIRECTION_ARROWS[row.direction] || "";
+    stationCell.textContent = [arrow, row.station].filter(Boolean).join(" ");
+    if (row.direction) {
+      stationCell.title = `${row.direction}${row.station ? ` via ${row.station}` : ""}` +
+        (row.instance ? ` (decoder ${row.instance})` : "");
+    }
+    tr.appendChild(stationCell);
+
     const values = [
       row.timestamp,
       row.reg,
       row.icaotype,
       row.flight,
       row.ownop,
+      row.label,
       row.txt
     ];
     for (const val of values) {
@@ -208,15 +389,66 @@ function renderTable() {
 
     const milCell = document.createElement("td");
     if (row.mil) milCell.classList.add("flag-mil");
+    else if (row.milLikely) {
+      milCell.classList.add("flag-mil-likely");
+      milCell.title = "Likely military (address block), not flagged in aircraft.db";
+    }
 
     tr.appendChild(piaCell);
     tr.appendChild(laddCell);
     tr.appendChild(milCell);
 
     tbody.appendChild(tr);
+    if (row.decoded && expandedRows.has(row.id)) tbody.appendChild(buildDetailRow(row));
   }
 }
 
+// =============================
+// Decoded ACARS detail row
+// =============================
+function formatDecodedValue(val) {
+  if (val && typeof val === "object") {
+    return Array.isArray(val)
+      ? val.map(formatDecodedValue).join("; ")
+      : Object.entries(val).map(([k, v]) => `${k}: ${formatDecodedValue(v)}`).join(", ");
+  }
+  return val ?? "";
+}
+
+function buildDetailRow(row) {
+  const tr = document.createElement("tr");
+  tr.classList.add("detail");
+  const td = document.createElement("td");
+  td.colSpan = 13;
+
+  const title = document.createElement("div");
+  title.classList.add("detail-title");
+  title.textContent = `${row.decoded.label} — ${row.decoded.description} (${row.decoded.kind})`;
+  td.appendChild(title);
+
+  const dl = document.createElement("dl");
+  for (const [key, val] of Object.entries(row.decoded.fields || {})) {
+    const dt = document.createElement("dt");
+    dt.textContent = key;
+    const dd = document.createElement("dd");
+    dd.textContent = formatDecodedValue(val);
+    dl.append(dt, dd);
+  }
+  td.appendChild(dl);
+  tr.appendChild(td);
+  return tr;
+}
+
+// Toggle the detail row (links keep working normally)
+document.addEventListener("click", (e) => {
+  const tr = e.target.closest?.("#dataTable tbody tr.expandable");
+  if (!tr || e.target.closest("a")) return;
+  const id = tr.dataset.rowId;
+  if (expandedRows.has(id)) expandedRows.delete(id);
+  else expandedRows.add(id);
+  renderTable();
+});
+
 // =============================
 // Search handler (partial-safe)
 // =============================
@@ -225,3 +457,53 @@ document.addEventListener("input", (e) => {
     renderTable();
   }
 });
+
+// =============================
+// Export current view
+// =============================
+// [9,8,7,1,2,3,5] → "9-7,1-3,5" (order kept: runs may count down)
+function seqRanges(seqs) {
+  const parts = [];
+  for (let i = 0; i < seqs.length; i++) {
+    let j = i;
+    const step = seqs[i + 1] - seqs[i];
+    if (step === 1 || step === -1) {
+      while (j + 1 < seqs.length && seqs[j + 1] - seqs[j] === step) j++;
+    }
+    parts.push(i === j ? `${seqs[i]}` : `${seqs[i]}-${seqs[j]}`);
+    i = j;
+  }
+  return parts.join(",");
+}
+
+// The server answers from its WebSocket backlog by seq (exactly these rows, in
+// this order); the time range and filters are its fallback once they have left
+// the backlog. Rows from an earlier server run have no seq in the current one.
+function exportCurrentView() {
+  if (!renderedRows.length) return alert("Nothing to export");
+  const params = new URLSearchParams({ format: byId("exportFormat")?.value || "csv" });
+
+  const runPrefix = `s${serverEpoch}-`;
+  if (serverEpoch !== null && renderedRows.every((r) => r.id.startsWith(runPrefix))) {
+    params.set("epoch", serverEpoch);
+    params.set("seqs", seqRanges(renderedRows.map((r) => Number(r.id.slice(runPrefix.length)))));
+  }
+
+  // row.timestamp is "YYYY-MM-DD HH:MM:SS.mmm UTC"
+  const times = renderedRows.map((r) => Date.parse(r.timestamp.replace(" UTC", "Z").replace(" ", "T")));
+  params.set("from", Math.min(...times));
+  params.set("to", Math.max(...times));
+  for (const [key, value] of Object.entries(subscription || {})) params.set(key, value);
+  if (showOnlyMil) params.set("military", "1");
+  const query = (byId("searchInput")?.value || "").trim();
+  if (query) params.set("q", query);
+
+  const link = document.createElement("a");
+  link.href = `/api/export?${params}`;
+  link.download = "";
+  link.click();
+}
+
+document.addEventListener("click", (e) => {
+  if (e.target?.closest?.("#exportViewBtn")) exportCurrentView();
+});
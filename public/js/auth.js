@@ -0,0 +1,86 @@
+// auth.js — Login overlay, current user and role-based UI
+// Other scripts wait on `authReady` (resolves to { username, role } or null)
+// and use hasRole() before touching operator-only endpoints.
+
+const AUTH_API = "/api/auth";
+const AUTH_ROLES = ["viewer", "operator"];
+
+let authUser = null;
+
+function hasRole(role) {
+  return !!authUser && AUTH_ROLES.indexOf(authUser.role) >= AUTH_ROLES.indexOf(role);
+}
+
+// =============================
+// Login overlay
+// =============================
+function showLogin(message = "") {
+  const overlay = document.getElementById("loginOverlay");
+  if (!overlay) return;
+  overlay.hidden = false;
+  document.getElementById("loginError").textContent = message;
+  overlay.querySelector("input[name=username]")?.focus();
+}
+
+document.getElementById("loginForm")?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const form = e.target;
+  const errorEl = document.getElementById("loginError");
+  errorEl.textContent = "";
+  try {
+    const res = await fetch(`${AUTH_API}/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username: form.username.value, password: form.password.value }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    // Reload so the WebSocket and every poller start with the new session
+    location.reload();
+  } catch (err) {
+    errorEl.textContent = err.message;
+    form.password.value = "";
+  }
+});
+
+document.getElementById("logoutBtn")?.addEventListener("click", async () => {
+  try {
+    await fetch(`${AUTH_API}/logout`, { method: "POST" });
+  } finally {
+    location.reload();
+  }
+});
+
+// =============================
+// Role-based UI
+// =============================
+function applyRole(user) {
+  document.body.dataset.role = user?.role || "";
+
+  // Viewers don't get the controller page at all
+  const controllerNav = document.querySelector('#sidebar nav button[data-page="controller"]');
+  if (controllerNav) controllerNav.hidden = !hasRole("operator");
+
+  const box = document.getElementById("userBox");
+  if (box && user?.enabled) {
+    box.hidden = false;
+    document.getElementById("userName").textContent = `${user.username} (${user.role})`;
+  }
+}
+
+const authReady = (async () => {
+  try {
+    const res = await fetch(`${AUTH_API}/me`);
+    if (res.status === 401) {
+      showLogin();
+      return null;
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    authUser = await res.json();
+    applyRole(authUser);
+    return authUser;
+  } catch (err) {
+    console.error("Failed to check login:", err);
+    return null;
+  }
+})();
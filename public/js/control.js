@@ -3,10 +3,17 @@
 
 const API_BASE = "/api";
 
+// Decoder instance the status, logs and Start/Stop buttons act on (instances.js changes it)
+let currentInstance = "default";
+const instancePath = (suffix) => `/instances/${encodeURIComponent(currentInstance)}${suffix}`;
+
 const statusText = document.getElementById("statusText");
 const pidEl = document.getElementById("pid");
 const uptimeEl = document.getElementById("uptime");
 const cmdEl = document.getElementById("cmd");
+const restartsEl = document.getElementById("restarts");
+const lastExitEl = document.getElementById("lastExit");
+const lastErrorsEl = document.getElementById("lastErrors");
 const logView = document.getElementById("logView");
 const startBtn = document.getElementById("startBtn");
 const stopBtn = document.getElementById("stopBtn");
@@ -20,36 +27,105 @@ async function apiRequest(endpoint, method = "GET", body = null) {
   if (body) opts.body = JSON.stringify(body);
   try {
     const res = await fetch(`${API_BASE}${endpoint}`, opts);
-    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+    if (res.status === 401) {
+      showLogin("Session expired, please log in again."); // auth.js
+      throw Object.assign(new Error("Login required"), { authRequired: true });
+    }
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw Object.assign(new Error(data.error || `${res.status} ${res.statusText}`), { data });
+    }
     return await res.json();
   } catch (err) {
-    alert("API error: " + err.message);
+    // Field errors are shown next to the inputs instead
+    if (!err.authRequired && !err.data?.fields) alert("API error: " + err.message);
     console.error("API request failed:", err);
     throw err;
   }
 }
 
+// Supervisor states from /api/status
+const STATE_LABELS = {
+  running: "🟢 Running",
+  backoff: "🟡 Restarting",
+  stopping: "🟡 Stopping",
+  crashloop: "🔴 Crash loop (not restarting)",
+  stopped: "🔴 Stopped",
+};
+
+function formatExit(exit) {
+  if (!exit) return "-";
+  const how = exit.signal ? `signal ${exit.signal}` : `code ${exit.code}`;
+  return `${how} at ${new Date(exit.at).toLocaleTimeString()} after ${exit.uptime}s`;
+}
+
 async function refreshStatus() {
   try {
-    const data = await apiRequest("/status");
-    statusText.textContent = data.running ? "🟢 Running" : "🔴 Stopped";
+    const data = await apiRequest(instancePath("/status"));
+    statusText.textContent = STATE_LABELS[data.state] || (data.running ? STATE_LABELS.running : STATE_LABELS.stopped);
+    if (data.state === "backoff" && data.nextRestartIn !== null) statusText.textContent += ` in ${data.nextRestartIn}s`;
     pidEl.textContent = data.pid || "-";
     uptimeEl.textContent = data.uptime || "-";
     cmdEl.textContent = data.command || "";
+    restartsEl.textContent = data.restarts ?? 0;
+    lastExitEl.textContent = formatExit(data.lastExit);
+    lastErrorsEl.textContent = (data.lastErrorLines || []).join("\n");
+    lastErrorsEl.hidden = !data.lastErrorLines?.length;
   } catch (err) {
     console.error("Failed to get status:", err);
   }
 }
 
-async function refreshLogs() {
-  try {
-    const res = await fetch(`${API_BASE}/logs`);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const text = await res.text();
-    logView.textContent = text || "(no logs yet)";
-    logView.scrollTop = logView.scrollHeight;
-  } catch (err) {
-    console.error("Failed to fetch logs:", err);
+// ================================
+// Live log (Server-Sent Events)
+// ================================
+const LOG_VIEW_LINES = 2000;
+let logSource = null;
+let logPaused = false;
+let logQueue = []; // lines that arrived while paused
+
+function appendLogLine(entry) {
+  const line = document.createElement("div");
+  line.className = `log-${entry.level} log-${entry.stream}`;
+  line.textContent = `${entry.ts.slice(11, 19)} ${entry.stream.toUpperCase()} ${entry.text}`;
+  logView.appendChild(line);
+  while (logView.childElementCount > LOG_VIEW_LINES) logView.firstChild.remove();
+  if (document.getElementById("logFollow").checked) logView.scrollTop = logView.scrollHeight;
+}
+
+// (Re)connects to the current instance with the selected streams and level;
+// EventSource reconnects by itself and resumes from the last line it saw
+function openLogStream() {
+  logSource?.close();
+  logSource = null;
+  logQueue = [];
+  logView.textContent = "";
+  document.getElementById("logDownload").href = `${API_BASE}${instancePath("/logs/download")}`;
+
+  const streams = [...document.querySelectorAll("input[name=logStream]:checked")].map((el) => el.value);
+  if (!streams.length) {
+    logView.textContent = "(no streams selected)";
+    return;
+  }
+  const params = new URLSearchParams({ stream: streams.join(","), level: document.getElementById("logLevel").value });
+  logSource = new EventSource(`${API_BASE}${instancePath("/logs/stream")}?${params}`);
+  logSource.onmessage = (e) => {
+    const entry = JSON.parse(e.data);
+    if (!logPaused) return appendLogLine(entry);
+    logQueue.push(entry);
+    if (logQueue.length > LOG_VIEW_LINES) logQueue.shift();
+  };
+  logSource.onerror = () => {
+    if (logSource?.readyState === EventSource.CLOSED) console.error("Log stream closed");
+  };
+}
+
+function toggleLogPause() {
+  logPaused = !logPaused;
+  document.getElementById("logPauseBtn").textContent = logPaused ? "Resume" : "Pause";
+  if (!logPaused) {
+    logQueue.forEach(appendLogLine);
+    logQueue = [];
   }
 }
 
@@ -77,59 +153,77 @@ function formToObject(form) {
   return obj;
 }
 
+// Inverse of formToObject: radios by value, checkboxes by boolean
+function fillForm(form, values) {
+  form.reset();
+  for (const [k, v] of Object.entries(values || {})) {
+    const els = form.querySelectorAll(`[name="${k}"]`);
+    for (const el of els) {
+      if (el.type === "checkbox") el.checked = v === true || v === "on" || v === "true";
+      else if (el.type === "radio") el.checked = el.value === v;
+      else el.value = v;
+    }
+  }
+  form.querySelector("#outputType")?.dispatchEvent(new Event("change"));
+}
+
+// ================================
+// Field errors from /start
+// ================================
+function clearFieldErrors(form) {
+  form.querySelectorAll(".field-error").forEach((el) => el.remove());
+  form.querySelectorAll(".invalid").forEach((el) => el.classList.remove("invalid"));
+}
+
+function showFieldErrors(form, fields) {
+  for (const [name, message] of Object.entries(fields)) {
+    const input = form.querySelector(`[name="${name}"]`);
+    const msg = document.createElement("div");
+    msg.classList.add("field-error");
+    msg.textContent = input ? message : `${name}: ${message}`;
+    if (input) {
+      input.classList.add("invalid");
+      (input.closest("label") || input).after(msg);
+    } else {
+      form.querySelector(".buttons").before(msg);
+    }
+  }
+  form.querySelector(".invalid")?.focus();
+}
+
 // ================================
 // Button actions
 // ================================
 startBtn.addEventListener("click", async () => {
   const form = document.getElementById("configForm");
   const body = formToObject(form);
+  clearFieldErrors(form);
   console.log("Sending start with config:", body);
   try {
-    const res = await apiRequest("/start", "POST", body);
+    const res = await apiRequest(instancePath("/start"), "POST", body);
     console.log("Start response:", res);
     await refreshStatus();
-    await refreshLogs();
   } catch (err) {
+    if (err.data?.fields) showFieldErrors(form, err.data.fields);
     console.error("Start failed:", err);
   }
 });
 
 stopBtn.addEventListener("click", async () => {
   try {
-    await apiRequest("/stop", "POST");
+    await apiRequest(instancePath("/stop"), "POST");
     await refreshStatus();
-    await refreshLogs();
   } catch (err) {
     console.error("Stop failed:", err);
   }
 });
 
-saveBtn.addEventListener("click", async () => {
-  const form = document.getElementById("configForm");
-  const body = formToObject(form);
-  localStorage.setItem("dumpvdl2Settings", JSON.stringify(body));
-  alert("Settings saved locally.");
-});
+// Save Settings writes to the selected server-side profile (profiles.js)
 
 // ================================
-// Persist settings
+// Page setup
 // ================================
 window.addEventListener("DOMContentLoaded", () => {
-  const saved = localStorage.getItem("dumpvdl2Settings");
-  if (saved) {
-    try {
-      const cfg = JSON.parse(saved);
-      for (const [k, v] of Object.entries(cfg)) {
-        const el = document.querySelector(`[name="${k}"]`);
-        if (!el) continue;
-        if (el.type === "checkbox") el.checked = v;
-        else el.value = v;
-      }
-    } catch (err) {
-      console.warn("Failed to restore settings:", err);
-    }
-  }
-
   // show/hide parameter blocks
   const outputTypeSel = document.getElementById("outputType");
   const udpParams = document.getElementById("udpParams");
@@ -146,9 +240,17 @@ window.addEventListener("DOMContentLoaded", () => {
   outputTypeSel.addEventListener("change", updateOutputParams);
   updateOutputParams();
 
-  refreshStatus();
-  refreshLogs();
-  setInterval(refreshStatus, 5000);
-  setInterval(refreshLogs, 8000);
+  // Status and logs are operator-only (see auth.js)
+  authReady.then(() => {
+    if (!hasRole("operator")) return;
+    refreshStatus();
+    openLogStream();
+    setInterval(refreshStatus, 5000);
+  });
+
+  document.querySelectorAll("input[name=logStream], #logLevel").forEach((el) => {
+    el.addEventListener("change", () => hasRole("operator") && openLogStream());
+  });
+  document.getElementById("logPauseBtn").addEventListener("click", toggleLogPause);
 });
 
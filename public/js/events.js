@@ -0,0 +1,210 @@
+// events.js — Events page: summary, timeline chart and breakdowns
+// Polls /api/events/summary and /api/events/timeline while the page is open.
+
+const EVENTS_API = "/api/events";
+const EVENTS_REFRESH_MS = 10000;
+
+let eventsWindow = "1h";
+let eventsTimer = null;
+
+const eventsColors = {
+  packets: "#00ff99",
+  mil: "#ff4444",
+  aircraft: "#ffea00",
+  flights: "#00ccff",
+  grid: "rgba(0, 255, 153, 0.15)",
+  text: "#00ff99",
+};
+
+const fmtFreq = (hz) => `${(hz / 1e6).toFixed(3)} MHz`;
+const pct = (part, total) => (total ? ((part / total) * 100).toFixed(1) : "0.0");
+
+// =============================
+// Summary + breakdown tables
+// =============================
+function fillCountTable(id, rows, labelOf) {
+  const tbody = document.querySelector(`#${id} tbody`);
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  const max = Math.max(1, ...rows.map((r) => r.count));
+  for (const r of rows) {
+    const tr = document.createElement("tr");
+    const name = document.createElement("td");
+    name.textContent = labelOf(r);
+    const bar = document.createElement("td");
+    bar.classList.add("bar-cell");
+    const fill = document.createElement("div");
+    fill.classList.add("bar");
+    fill.style.width = `${(r.count / max) * 100}%`;
+    bar.appendChild(fill);
+    const count = document.createElement("td");
+    count.textContent = r.count;
+    tr.append(name, bar, count);
+    tbody.appendChild(tr);
+  }
+}
+
+function renderSummary(s) {
+  const el = document.getElementById("eventsSummary");
+  if (el) {
+    el.textContent =
+      `Messages: ${s.totalPackets} | Aircraft: ${s.uniqueAircraft} | Flights: ${s.uniqueFlights}`;
+  }
+
+  const share = document.getElementById("eventsMilShare");
+  if (share) {
+    const milPct = pct(s.military.packets, s.totalPackets);
+    share.innerHTML = "";
+    const bar = document.createElement("div");
+    bar.classList.add("share-bar");
+    const milPart = document.createElement("div");
+    milPart.classList.add("share-mil");
+    milPart.style.width = `${milPct}%`;
+    bar.appendChild(milPart);
+    const text = document.createElement("div");
+    text.textContent =
+      `Military ${milPct}% (${s.military.packets} msgs, ${s.military.aircraft} aircraft) — ` +
+      `Civilian ${pct(s.civilian.packets, s.totalPackets)}% (${s.civilian.packets} msgs, ${s.civilian.aircraft} aircraft)`;
+    share.append(bar, text);
+  }
+
+  fillCountTable("eventsOwners", s.topOwners, (r) => r.owner);
+  fillCountTable("eventsModels", s.topModels, (r) => r.model);
+  fillCountTable("eventsFreqs", s.frequencies, (r) => fmtFreq(r.freq));
+}
+
+// Daily rollups survive restarts and outlive the 7-day raw logs
+function renderDaily(rows) {
+  const tbody = document.querySelector("#eventsDaily tbody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  for (const d of [...rows].reverse()) {
+    const tr = document.createElement("tr");
+    for (const val of [d.date, d.packets, d.aircraft, d.newAircraft, d.mil]) {
+      const td = document.createElement("td");
+      td.textContent = val;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+// =============================
+// Timeline chart (plain canvas)
+// =============================
+function drawTimeline(data) {
+  const canvas = document.getElementById("eventsChart");
+  if (!canvas) return;
+  const ctx = canvas.getContext("2d");
+  const { width, height } = canvas;
+  const pad = { left: 40, right: 10, top: 10, bottom: 24 };
+  const w = width - pad.left - pad.right;
+  const h = height - pad.top - pad.bottom;
+  const buckets = data.buckets || [];
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "11px 'Share Tech Mono', monospace";
+  ctx.fillStyle = eventsColors.text;
+  if (!buckets.length) return;
+
+  const max = Math.max(1, ...buckets.map((b) => b.count));
+  const y = (v) => pad.top + h - (v / max) * h;
+  const slot = w / buckets.length;
+
+  // Grid + y labels
+  ctx.strokeStyle = eventsColors.grid;
+  for (let i = 0; i <= 4; i++) {
+    const v = Math.round((max * i) / 4);
+    ctx.beginPath();
+    ctx.moveTo(pad.left, y(v));
+    ctx.lineTo(width - pad.right, y(v));
+    ctx.stroke();
+    ctx.fillText(String(v), 2, y(v) + 4);
+  }
+
+  // Bars: all messages, military overlaid
+  buckets.forEach((b, i) => {
+    const x = pad.left + i * slot;
+    const bw = Math.max(1, slot - 1);
+    ctx.fillStyle = eventsColors.packets;
+    ctx.globalAlpha = 0.5;
+    ctx.fillRect(x, y(b.count), bw, pad.top + h - y(b.count));
+    ctx.fillStyle = eventsColors.mil;
+    ctx.globalAlpha = 0.9;
+    ctx.fillRect(x, y(b.mil), bw, pad.top + h - y(b.mil));
+  });
+  ctx.globalAlpha = 1;
+
+  // Lines: unique aircraft / flights per bucket
+  for (const key of ["aircraft", "flights"]) {
+    ctx.strokeStyle = eventsColors[key];
+    ctx.beginPath();
+    buckets.forEach((b, i) => {
+      const x = pad.left + i * slot + slot / 2;
+      if (i === 0) ctx.moveTo(x, y(b[key]));
+      else ctx.lineTo(x, y(b[key]));
+    });
+    ctx.stroke();
+  }
+
+  // X labels (~8 across)
+  ctx.fillStyle = eventsColors.text;
+  const every = Math.max(1, Math.ceil(buckets.length / 8));
+  buckets.forEach((b, i) => {
+    if (i % every) return;
+    ctx.fillText(b.time.slice(11, 16), pad.left + i * slot, height - 6);
+  });
+}
+
+// =============================
+// Refresh loop
+// =============================
+async function refreshEvents() {
+  try {
+    const [summaryRes, timelineRes, dailyRes] = await Promise.all([
+      fetch(`${EVENTS_API}/summary`),
+      fetch(`${EVENTS_API}/timeline?window=${eventsWindow}`),
+      fetch(`${EVENTS_API}/rollups?period=daily&limit=14`),
+    ]);
+    if (!summaryRes.ok) throw new Error(`summary HTTP ${summaryRes.status}`);
+    if (!timelineRes.ok) throw new Error(`timeline HTTP ${timelineRes.status}`);
+    if (!dailyRes.ok) throw new Error(`rollups HTTP ${dailyRes.status}`);
+    renderSummary(await summaryRes.json());
+    drawTimeline(await timelineRes.json());
+    renderDaily((await dailyRes.json()).rows);
+
+    const updated = document.getElementById("eventsUpdated");
+    if (updated) updated.textContent = `Updated ${new Date().toLocaleTimeString()}`;
+  } catch (err) {
+    console.error("Failed to refresh events:", err);
+  }
+}
+
+function startEventsRefresh() {
+  clearInterval(eventsTimer);
+  refreshEvents();
+  eventsTimer = setInterval(refreshEvents, EVENTS_REFRESH_MS);
+}
+
+function stopEventsRefresh() {
+  clearInterval(eventsTimer);
+  eventsTimer = null;
+}
+
+// Window selector (1h / 6h / 24h)
+document.addEventListener("click", (e) => {
+  const btn = e.target.closest?.("#eventsWindow button");
+  if (!btn) return;
+  eventsWindow = btn.dataset.window;
+  document.querySelectorAll("#eventsWindow button")
+    .forEach((b) => b.classList.toggle("active", b === btn));
+  refreshEvents();
+});
+
+// Only poll while the Events page is showing
+document.addEventListener("click", (e) => {
+  const nav = e.target.closest?.("#sidebar nav button");
+  if (!nav) return;
+  if (nav.dataset.page === "events") startEventsRefresh();
+  else stopEventsRefresh();
+});
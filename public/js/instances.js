@@ -0,0 +1,115 @@
+// instances.js — Decoder instance list on the controller page
+// Selecting a row points control.js (status, logs, Start/Stop) and
+// profiles.js (Start profile) at that instance via `currentInstance`.
+
+const INSTANCES_API = "/instances"; // relative to API_BASE
+
+let instanceList = [];
+
+// =============================
+// Table
+// =============================
+function renderInstances() {
+  const tbody = document.querySelector("#instanceTable tbody");
+  tbody.innerHTML = "";
+  for (const inst of instanceList) {
+    const tr = document.createElement("tr");
+    tr.dataset.id = inst.id;
+    if (inst.id === currentInstance) tr.classList.add("selected");
+    if (inst.state === "crashloop") tr.classList.add("instance-crashloop");
+    const cells = [
+      inst.id === inst.name ? inst.id : `${inst.name} (${inst.id})`,
+      inst.udpPort,
+      STATE_LABELS[inst.state] || inst.state, // control.js
+      inst.pid || "-",
+      inst.uptime || "-",
+      inst.restarts ?? 0,
+      inst.profile || "",
+    ];
+    for (const value of cells) {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    }
+    tr.addEventListener("click", () => selectInstance(inst.id));
+    tbody.appendChild(tr);
+  }
+}
+
+async function refreshInstances() {
+  try {
+    instanceList = await apiRequest(INSTANCES_API);
+    if (!instanceList.some((i) => i.id === currentInstance)) currentInstance = "default";
+    renderInstances();
+  } catch (err) {
+    console.error("Failed to load instances:", err);
+  }
+}
+
+function selectInstance(id) {
+  currentInstance = id;
+  const inst = instanceList.find((i) => i.id === id);
+  document.getElementById("instanceName").textContent = inst ? `${inst.name} (UDP ${inst.udpPort})` : id;
+  renderInstances();
+  refreshStatus();
+  openLogStream(); // control.js
+}
+
+// =============================
+// Buttons
+// =============================
+function onInstanceButton(id, handler) {
+  document.getElementById(id)?.addEventListener("click", async () => {
+    try {
+      await handler();
+    } catch (err) {
+      console.error(`Instance action ${id} failed:`, err);
+    }
+  });
+}
+
+onInstanceButton("instanceAddBtn", async () => {
+  const name = prompt("Instance name (e.g. the dongle it uses):");
+  if (!name) return;
+  const usedPorts = instanceList.map((i) => i.udpPort);
+  const udpPort = prompt("UDP port for its output:", String(Math.max(...usedPorts) + 1));
+  if (!udpPort) return;
+  const created = await apiRequest(INSTANCES_API, "POST", { name, udpPort: Number(udpPort) });
+  await refreshInstances();
+  selectInstance(created.id);
+});
+
+onInstanceButton("instanceRenameBtn", async () => {
+  const inst = instanceList.find((i) => i.id === currentInstance);
+  if (!inst) return;
+  const name = prompt("Instance name:", inst.name);
+  if (!name) return;
+  const body = { name };
+  if (inst.id !== "default") {
+    const udpPort = prompt("UDP port (instance must be stopped to change it):", String(inst.udpPort));
+    if (!udpPort) return;
+    body.udpPort = Number(udpPort);
+  }
+  await apiRequest(`${INSTANCES_API}/${encodeURIComponent(inst.id)}`, "PUT", body);
+  await refreshInstances();
+  selectInstance(inst.id);
+});
+
+onInstanceButton("instanceRemoveBtn", async () => {
+  const inst = instanceList.find((i) => i.id === currentInstance);
+  if (!inst || inst.id === "default") return alert("The default instance cannot be removed.");
+  if (!confirm(`Remove instance "${inst.name}"?`)) return;
+  await apiRequest(`${INSTANCES_API}/${encodeURIComponent(inst.id)}`, "DELETE");
+  await refreshInstances();
+  selectInstance("default");
+});
+
+// =============================
+// Init (operators only)
+// =============================
+authReady.then(async () => {
+  if (!hasRole("operator")) return;
+  await refreshInstances();
+  selectInstance(currentInstance);
+  setInterval(refreshInstances, 5000);
+});
@@ -0,0 +1,175 @@
+// profiles.js — Server-side receiver profiles on the controller page
+// Load/save/clone/diff/delete named dumpvdl2 setups via /api/profiles.
+// Uses apiRequest, formToObject, fillForm and the field error helpers from control.js.
+
+const PROFILES_API = "/profiles"; // relative to API_BASE
+const LEGACY_SETTINGS_KEY = "dumpvdl2Settings";
+
+let profileData = { default: null, profiles: [] };
+
+const profileForm = () => document.getElementById("configForm");
+const profileSelect = document.getElementById("profileSelect");
+
+function selectedProfile() {
+  return profileData.profiles.find((p) => p.id === profileSelect.value) || null;
+}
+
+// =============================
+// List + select
+// =============================
+function renderProfileList(selectId) {
+  profileSelect.innerHTML = "";
+  for (const p of profileData.profiles) {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.id === profileData.default ? `${p.name} (default)` : p.name;
+    profileSelect.appendChild(opt);
+  }
+  profileSelect.value = selectId || profileData.default || profileData.profiles[0]?.id || "";
+}
+
+async function refreshProfiles(selectId) {
+  profileData = await apiRequest(PROFILES_API);
+  renderProfileList(selectId ?? profileSelect.value);
+}
+
+function loadProfileIntoForm(profile) {
+  if (!profile) return;
+  const form = profileForm();
+  clearFieldErrors(form);
+  fillForm(form, profile.options);
+  hideProfileDiff();
+}
+
+// Field errors from a rejected save are shown on the form like /start errors
+async function saveProfileRequest(path, method, body) {
+  const form = profileForm();
+  clearFieldErrors(form);
+  try {
+    return await apiRequest(path, method, body);
+  } catch (err) {
+    if (err.data?.fields) showFieldErrors(form, err.data.fields);
+    throw err;
+  }
+}
+
+// =============================
+// Diff (form vs selected profile)
+// =============================
+function hideProfileDiff() {
+  const pre = document.getElementById("profileDiff");
+  pre.hidden = true;
+  pre.textContent = "";
+}
+
+function showProfileDiff(profile) {
+  const current = formToObject(profileForm());
+  const norm = (v) => (v === undefined || v === null || v === false ? "" : String(v));
+  const keys = [...new Set([...Object.keys(profile.options), ...Object.keys(current)])];
+  const lines = keys
+    .filter((k) => norm(profile.options[k]) !== norm(current[k]))
+    .map((k) => `${k}: ${JSON.stringify(profile.options[k] ?? null)} → ${JSON.stringify(current[k] ?? null)}`);
+
+  const pre = document.getElementById("profileDiff");
+  pre.textContent = lines.length
+    ? `Form vs "${profile.name}":\n${lines.join("\n")}`
+    : `Form matches "${profile.name}"`;
+  pre.hidden = false;
+}
+
+// =============================
+// Buttons
+// =============================
+function onProfileButton(id, handler) {
+  document.getElementById(id)?.addEventListener("click", async () => {
+    try {
+      await handler();
+    } catch (err) {
+      console.error(`Profile action ${id} failed:`, err);
+    }
+  });
+}
+
+onProfileButton("profileLoadBtn", async () => loadProfileIntoForm(selectedProfile()));
+
+onProfileButton("saveBtn", async () => {
+  const profile = selectedProfile();
+  if (!profile) return;
+  await saveProfileRequest(`${PROFILES_API}/${profile.id}`, "PUT", { options: formToObject(profileForm()) });
+  await refreshProfiles(profile.id);
+  alert(`Saved to profile "${profile.name}".`);
+});
+
+onProfileButton("profileSaveAsBtn", async () => {
+  const name = prompt("New profile name:");
+  if (!name) return;
+  const created = await saveProfileRequest(PROFILES_API, "POST", { name, options: formToObject(profileForm()) });
+  await refreshProfiles(created.id);
+});
+
+onProfileButton("profileCloneBtn", async () => {
+  const profile = selectedProfile();
+  if (!profile) return;
+  const name = prompt("Name for the copy:", `${profile.name} (copy)`);
+  if (!name) return;
+  const created = await apiRequest(`${PROFILES_API}/${profile.id}/clone`, "POST", { name });
+  await refreshProfiles(created.id);
+});
+
+onProfileButton("profileDiffBtn", async () => {
+  const profile = selectedProfile();
+  if (profile) showProfileDiff(profile);
+});
+
+onProfileButton("profileDefaultBtn", async () => {
+  const profile = selectedProfile();
+  if (!profile) return;
+  await apiRequest(`${PROFILES_API}/${profile.id}/default`, "POST");
+  await refreshProfiles(profile.id);
+});
+
+onProfileButton("profileDeleteBtn", async () => {
+  const profile = selectedProfile();
+  if (!profile || !confirm(`Delete profile "${profile.name}"?`)) return;
+  await apiRequest(`${PROFILES_API}/${profile.id}`, "DELETE");
+  await refreshProfiles();
+});
+
+onProfileButton("profileStartBtn", async () => {
+  const profile = selectedProfile();
+  if (!profile) return;
+  clearFieldErrors(profileForm());
+  await apiRequest(`${PROFILES_API}/${profile.id}/start`, "POST", { instance: currentInstance });
+  await refreshStatus();
+});
+
+// =============================
+// Init (operators only)
+// =============================
+// Settings saved by older versions of this page live in localStorage;
+// offer them once as a profile so they aren't lost
+async function migrateLegacySettings() {
+  const saved = localStorage.getItem(LEGACY_SETTINGS_KEY);
+  if (!saved) return;
+  if (confirm("Import the controller settings saved in this browser as a profile?")) {
+    try {
+      const created = await saveProfileRequest(PROFILES_API, "POST", { name: "Browser settings", options: JSON.parse(saved) });
+      await refreshProfiles(created.id);
+    } catch (err) {
+      console.warn("Legacy settings import failed:", err);
+      return;
+    }
+  }
+  localStorage.removeItem(LEGACY_SETTINGS_KEY);
+}
+
+authReady.then(async () => {
+  if (!hasRole("operator")) return;
+  try {
+    await refreshProfiles();
+    loadProfileIntoForm(selectedProfile());
+    await migrateLegacySettings();
+  } catch (err) {
+    console.error("Failed to load profiles:", err);
+  }
+});
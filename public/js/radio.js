@@ -0,0 +1,91 @@
+// radio.js — Signal quality tables on the controller page
+// Polls /api/radio while the controller page is open.
+
+const RADIO_API = "/api/radio";
+const RADIO_REFRESH_MS = 5000;
+
+let radioTimer = null;
+
+const fmtMHz = (hz) => `${(hz / 1e6).toFixed(3)}`;
+const fmtLevel = (s) => (s ? `${s.avg} (${s.p10} / ${s.p50} / ${s.p90})` : "-");
+const fmtNum = (v) => (v === null || v === undefined ? "-" : String(v));
+
+// =============================
+// Table rendering
+// =============================
+function fillRadioTable(id, rows, keyOf) {
+  const tbody = document.querySelector(`#${id} tbody`);
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  for (const r of rows) {
+    const tr = document.createElement("tr");
+    const cells = [
+      keyOf(r),
+      r.frames,
+      fmtNum(r.ratePerMin),
+      fmtLevel(r.signal),
+      fmtLevel(r.noise),
+      fmtNum(r.snr),
+      `${r.hdrCorrectionRate}%`,
+      `${r.fecCorrectionRate}%`,
+      fmtNum(r.fecOctetsPerFrame),
+    ];
+    for (const val of cells) {
+      const td = document.createElement("td");
+      td.textContent = val;
+      tr.appendChild(td);
+    }
+    // Low SNR is the first thing to look at when tuning gain
+    if (r.snr !== null && r.snr < 6) tr.classList.add("radio-weak");
+    tbody.appendChild(tr);
+  }
+}
+
+async function refreshRadio() {
+  try {
+    const res = await fetch(RADIO_API);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    fillRadioTable("radioFreqs", data.frequencies, (r) => fmtMHz(r.freq));
+    fillRadioTable("radioStations", data.stations, (r) => (r.name ? `${r.station} ${r.name}` : r.station));
+    const info = document.getElementById("radioUpdated");
+    if (info) {
+      info.textContent =
+        `Rate over last ${data.rateWindowMin} min — updated ${new Date().toLocaleTimeString()}`;
+    }
+  } catch (err) {
+    console.error("Failed to refresh radio stats:", err);
+  }
+}
+
+// =============================
+// Refresh loop
+// =============================
+function startRadioRefresh() {
+  clearInterval(radioTimer);
+  refreshRadio();
+  radioTimer = setInterval(refreshRadio, RADIO_REFRESH_MS);
+}
+
+function stopRadioRefresh() {
+  clearInterval(radioTimer);
+  radioTimer = null;
+}
+
+document.getElementById("radioResetBtn")?.addEventListener("click", async () => {
+  if (!confirm("Reset signal statistics?")) return;
+  try {
+    await fetch(`${RADIO_API}/reset`, { method: "POST" });
+    refreshRadio();
+  } catch (err) {
+    console.error("Failed to reset radio stats:", err);
+  }
+});
+
+// Only poll while the controller page is showing
+document.addEventListener("click", (e) => {
+  const nav = e.target.closest?.("#sidebar nav button");
+  if (!nav) return;
+  if (nav.dataset.page === "controller") startRadioRefresh();
+  else stopRadioRefresh();
+});
@@ -0,0 +1,187 @@
+// unknown.js — Unknown Aircraft page: registry list, samples, review and promote
+// Polls /api/aircraft-db/unknown while the page is open. Viewers can browse;
+// the review and promote forms are for operators.
+
+const UNKNOWN_API = "/aircraft-db/unknown"; // relative to API_BASE (control.js)
+const UNKNOWN_REFRESH_MS = 15000;
+
+let unknownTimer = null;
+let unknownSelected = null;
+let unknownSearchTimer = null;
+
+const UNKNOWN_STATUS_LABELS = { new: "🆕 New", reviewed: "✔ Reviewed", ignored: "🚫 Ignored", promoted: "⬆ Promoted" };
+
+function unknownQuery() {
+  const params = new URLSearchParams({ sort: document.getElementById("unknownSort").value });
+  const status = document.getElementById("unknownStatus").value;
+  const country = document.getElementById("unknownCountry").value;
+  const q = document.getElementById("unknownSearch").value.trim();
+  if (status) params.set("status", status);
+  if (country) params.set("country", country);
+  if (q) params.set("q", q);
+  if (document.getElementById("unknownHideKnown").checked) params.set("known", "0");
+  return params;
+}
+
+// =============================
+// List
+// =============================
+function renderCountries(countries) {
+  const select = document.getElementById("unknownCountry");
+  const current = select.value;
+  select.innerHTML = '<option value="">All countries</option>';
+  for (const c of countries) {
+    const opt = document.createElement("option");
+    opt.value = c.iso || "-";
+    opt.textContent = `${c.country || "Unallocated"} (${c.count})`;
+    select.appendChild(opt);
+  }
+  select.value = current;
+}
+
+async function refreshUnknown() {
+  const tbody = document.querySelector("#unknownTable tbody");
+  if (!tbody) return;
+  try {
+    const { total, rows, countries } = await apiRequest(`${UNKNOWN_API}?${unknownQuery()}`);
+    renderCountries(countries);
+    document.getElementById("unknownCount").textContent =
+      `${total} hex(es)${total > rows.length ? `, showing ${rows.length}` : ""}`;
+
+    tbody.innerHTML = "";
+    for (const e of rows) {
+      const tr = document.createElement("tr");
+      tr.dataset.hex = e.icao;
+      if (e.icao === unknownSelected) tr.classList.add("selected");
+      if (e.known) tr.classList.add("unknown-known");
+      cell(tr, e.icao.toUpperCase()); // aircraft.js
+      cell(tr, `${e.countryName || "-"}${e.military ? " 🪖" : ""}`).title =
+        `${e.country || ""}${e.military ? " military address block" : ""}`;
+      cell(tr, fmtTime(e.first_seen));
+      cell(tr, fmtTime(e.last_seen));
+      cell(tr, e.count);
+      cell(tr, e.flights.slice(-3).join(" "));
+      cell(tr, e.regs.join(" "));
+      cell(tr, UNKNOWN_STATUS_LABELS[e.status] || e.status);
+      cell(tr, e.note);
+      tr.addEventListener("click", () => selectUnknown(e.icao));
+      tbody.appendChild(tr);
+    }
+  } catch (err) {
+    console.error("Failed to load unknown aircraft:", err);
+  }
+}
+
+// =============================
+// Detail + actions
+// =============================
+async function selectUnknown(hex) {
+  unknownSelected = hex;
+  document.querySelectorAll("#unknownTable tbody tr")
+    .forEach((tr) => tr.classList.toggle("selected", tr.dataset.hex === hex));
+  const detail = document.getElementById("unknownDetail");
+  document.getElementById("unknownError").textContent = "";
+  try {
+    const e = await apiRequest(`${UNKNOWN_API}/${hex}`);
+    document.getElementById("unknownTitle").textContent =
+      `${e.icao.toUpperCase()} — ${e.countryName || "unallocated block"}` +
+      `${e.known ? ` (now in DB: ${e.aircraft.reg || "no reg"} ${e.aircraft.icaotype || ""})` : ""}`;
+
+    const tbody = document.querySelector("#unknownSamples tbody");
+    tbody.innerHTML = "";
+    for (const s of [...e.samples].reverse()) {
+      const tr = document.createElement("tr");
+      cell(tr, fmtTime(s.ts));
+      cell(tr, s.freq ? (s.freq / 1e6).toFixed(3) : "");
+      cell(tr, s.label);
+      cell(tr, s.flight);
+      cell(tr, s.text).classList.add("unknown-text");
+      tbody.appendChild(tr);
+    }
+
+    document.querySelector("#unknownReviewForm [name=note]").value = e.note || "";
+    const promote = document.getElementById("unknownPromoteForm");
+    promote.reset();
+    promote.reg.value = e.regs[e.regs.length - 1] || "";
+    detail.hidden = false;
+  } catch (err) {
+    detail.hidden = true;
+    console.error(`Failed to load unknown ${hex}:`, err);
+  }
+}
+
+async function unknownAction(request) {
+  const errorEl = document.getElementById("unknownError");
+  errorEl.textContent = "";
+  try {
+    await request();
+    await refreshUnknown();
+    if (unknownSelected) await selectUnknown(unknownSelected);
+  } catch (err) {
+    errorEl.textContent = err.message;
+  }
+}
+
+document.getElementById("unknownReviewForm")?.addEventListener("click", (e) => {
+  const action = e.target.closest?.("button[data-action]")?.dataset.action;
+  if (!action || !unknownSelected) return;
+  const path = `${UNKNOWN_API}/${unknownSelected}`;
+  if (action === "delete") {
+    if (!confirm(`Remove ${unknownSelected.toUpperCase()} from the registry? It comes back when heard again.`)) return;
+    return unknownAction(async () => {
+      await apiRequest(path, "DELETE");
+      unknownSelected = null;
+      document.getElementById("unknownDetail").hidden = true;
+    });
+  }
+  const note = e.currentTarget.note.value;
+  const body = action === "note" ? { note } : { status: action, note };
+  unknownAction(() => apiRequest(path, "PUT", body));
+});
+
+document.getElementById("unknownPromoteForm")?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  if (!unknownSelected) return;
+  const form = e.target;
+  const body = {
+    reg: form.reg.value,
+    icaotype: form.icaotype.value,
+    ownop: form.ownop.value,
+    tags: form.tags.value,
+  };
+  unknownAction(() => apiRequest(`${UNKNOWN_API}/${unknownSelected}/promote`, "POST", body));
+});
+
+// =============================
+// Filters + refresh loop
+// =============================
+for (const id of ["unknownStatus", "unknownCountry", "unknownSort", "unknownHideKnown"]) {
+  document.getElementById(id)?.addEventListener("change", refreshUnknown);
+}
+document.getElementById("unknownSearch")?.addEventListener("input", () => {
+  clearTimeout(unknownSearchTimer);
+  unknownSearchTimer = setTimeout(refreshUnknown, 300);
+});
+
+function startUnknownRefresh() {
+  clearInterval(unknownTimer);
+  refreshUnknown();
+  unknownTimer = setInterval(refreshUnknown, UNKNOWN_REFRESH_MS);
+}
+
+function stopUnknownRefresh() {
+  clearInterval(unknownTimer);
+  unknownTimer = null;
+}
+
+// Only poll while the Unknown page is showing
+document.addEventListener("click", (e) => {
+  const nav = e.target.closest?.("#sidebar nav button");
+  if (!nav) return;
+  if (nav.dataset.page === "unknown") startUnknownRefresh();
+  else stopUnknownRefresh();
+});
+
+authReady.then(() => {
+  document.querySelectorAll("#page-unknown .operator-only").forEach((el) => { el.hidden = !hasRole("operator"); });
+});
@@ -0,0 +1,128 @@
+// radio.js — Radio / signal quality metrics per frequency and ground station
+// Uses the per-frame fields dumpvdl2 puts in each `vdl2` object: freq,
+// sig_level, noise_level, hdr_bits_fixed and octets_corrected_by_fec.
+// dumpvdl2 drops frames that fail CRC, so header/FEC correction rates are the
+// error indicator here: frames that only decoded thanks to correction.
+
+import express from "express";
+import { classifyFrame } from "./util.js";
+
+const SAMPLE_SIZE = 500;                       // recent frames kept per key for percentiles
+const RATE_WINDOW_MS = 10 * 60 * 1000;         // message rate is averaged over 10 min
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.round((p / 100) * (sorted.length - 1))));
+  return sorted[idx];
+}
+
+const round1 = (v) => (v === null || v === undefined ? null : Math.round(v * 10) / 10);
+
+function levelStats(samples) {
+  if (!samples.length) return null;
+  const sorted = [...samples].sort((a, b) => a - b);
+  const avg = samples.reduce((s, v) => s + v, 0) / samples.length;
+  return {
+    avg: round1(avg),
+    p10: round1(percentile(sorted, 10)),
+    p50: round1(percentile(sorted, 50)),
+    p90: round1(percentile(sorted, 90)),
+    min: round1(sorted[0]),
+    max: round1(sorted[sorted.length - 1]),
+  };
+}
+
+function newEntry() {
+  return {
+    frames: 0,
+    lastSeen: null,
+    name: null,
+    arrivals: [],        // ms, pruned to RATE_WINDOW_MS
+    sig: [],
+    noise: [],
+    hdrFixed: 0,         // frames needing header bit correction
+    fecFrames: 0,        // frames where FEC corrected at least one octet
+    fecOctets: 0,
+  };
+}
+
+export function createRadioStats() {
+  const byFreq = new Map();      // Hz -> entry
+  const byStation = new Map();   // ground station addr -> entry
+
+  function record(map, key, vdl2, now, name = null) {
+    let e = map.get(key);
+    if (!e) {
+      e = newEntry();
+      map.set(key, e);
+    }
+    e.frames++;
+    e.lastSeen = now;
+    if (name) e.name = name;
+    e.arrivals.push(now);
+    while (e.arrivals.length && e.arrivals[0] < now - RATE_WINDOW_MS) e.arrivals.shift();
+
+    if (typeof vdl2.sig_level === "number") {
+      e.sig.push(vdl2.sig_level);
+      if (e.sig.length > SAMPLE_SIZE) e.sig.shift();
+    }
+    if (typeof vdl2.noise_level === "number") {
+      e.noise.push(vdl2.noise_level);
+      if (e.noise.length > SAMPLE_SIZE) e.noise.shift();
+    }
+    if (vdl2.hdr_bits_fixed > 0) e.hdrFixed++;
+    if (vdl2.octets_corrected_by_fec > 0) {
+      e.fecFrames++;
+      e.fecOctets += vdl2.octets_corrected_by_fec;
+    }
+  }
+
+  function update(pkt) {
+    const vdl2 = pkt?.vdl2;
+    if (!vdl2) return;
+    const now = Date.now();
+    if (vdl2.freq) record(byFreq, vdl2.freq, vdl2, now);
+    const gs = pkt.ground_station?.addr ?? classifyFrame(vdl2.avlc).ground;
+    if (gs) record(byStation, gs.toUpperCase(), vdl2, now, pkt.ground_station?.name);
+  }
+
+  function describe(e, now) {
+    const recent = e.arrivals.filter((t) => t >= now - RATE_WINDOW_MS).length;
+    const sig = levelStats(e.sig);
+    const noise = levelStats(e.noise);
+    return {
+      name: e.name,
+      frames: e.frames,
+      lastSeen: e.lastSeen ? new Date(e.lastSeen).toISOString() : null,
+      ratePerMin: round1(recent / (RATE_WINDOW_MS / 60000)),
+      signal: sig,
+      noise,
+      snr: sig && noise ? round1(sig.avg - noise.avg) : null,
+      hdrCorrectionRate: round1((e.hdrFixed / e.frames) * 100),
+      fecCorrectionRate: round1((e.fecFrames / e.frames) * 100),
+      fecOctetsPerFrame: round1(e.fecOctets / e.frames),
+    };
+  }
+
+  function snapshot() {
+    const now = Date.now();
+    return {
+      rateWindowMin: RATE_WINDOW_MS / 60000,
+      frequencies: [...byFreq.entries()].sort((a, b) => a[0] - b[0])
+        .map(([freq, e]) => ({ freq, ...describe(e, now) })),
+      stations: [...byStation.entries()].sort((a, b) => b[1].frames - a[1].frames)
+        .map(([station, e]) => ({ station, ...describe(e, now) })),
+    };
+  }
+
+  /* ---------- /api/radio routes ---------- */
+  const router = express.Router();
+  router.get("/", (req, res) => res.json(snapshot()));
+  router.post("/reset", (req, res) => {
+    byFreq.clear();
+    byStation.clear();
+    res.json({ status: "reset" });
+  });
+
+  return { update, snapshot, router };
+}
@@ -0,0 +1,114 @@
+// reassembly.js — Multi-block ACARS message reassembly
+// Blocks are grouped by aircraft, flight and message number, ordered by
+// message sequence letter and block ID, and emitted as one combined packet
+// once the final block (more=false) arrives. Groups that go quiet for
+// `timeoutMs` are emitted anyway and marked partial, and so are messages whose
+// blocks don't run without a gap from the first one (sequence letters A, B,
+// C…; block IDs when there are no letters), including a final block that
+// arrives without its predecessors.
+
+import { packetHex } from "./util.js";
+
+const blockOrder = (a, b) =>
+  (a.seq || "").localeCompare(b.seq || "") || (a.blk || "").localeCompare(b.blk || "");
+
+const next = (ch) => String.fromCharCode(ch.charCodeAt(0) + 1);
+
+// Sorted blocks → true when one is missing before or between them
+function hasGap(blocks) {
+  const seqs = blocks.map((b) => b.seq);
+  if (seqs.every(Boolean) && new Set(seqs).size === seqs.length) {
+    return seqs.some((s, i) => s !== (i ? next(seqs[i - 1]) : "A"));
+  }
+  const blks = blocks.map((b) => b.blk);
+  if (blks.every(Boolean)) return blks.some((b, i) => i > 0 && b !== next(blks[i - 1]));
+  return false;
+}
+
+export function createReassembler({ emit, timeoutMs = 30000 }) {
+  const groups = new Map(); // key -> { blocks: [{ seq, blk, text, pkt }], timer }
+
+  function keyFor(pkt, acars) {
+    const hex = packetHex(pkt);
+    return [hex, acars.flight || "", acars.msg_num || "", acars.label || ""].join("|");
+  }
+
+  function combine(group, timedOut) {
+    const blocks = [...group.blocks].sort(blockOrder);
+    const partial = timedOut || hasGap(blocks);
+    const last = blocks[blocks.length - 1].pkt;
+    const acars = last.vdl2.avlc.acars;
+    return {
+      ...last,
+      vdl2: {
+        ...last.vdl2,
+        avlc: {
+          ...last.vdl2.avlc,
+          acars: {
+            ...acars,
+            more: false,
+            msg_text: blocks.map((b) => b.text).join(""),
+            reassembly: {
+              blocks: blocks.length,
+              partial,
+              seqs: blocks.map((b) => `${b.seq}${b.blk}`),
+            },
+          },
+        },
+      },
+    };
+  }
+
+  function finish(key, timedOut) {
+    const group = groups.get(key);
+    if (!group) return;
+    clearTimeout(group.timer);
+    groups.delete(key);
+    const combined = combine(group, timedOut);
+    if (timedOut) console.log(`🧩 ACARS reassembly timed out for ${key} (${group.blocks.length} block(s))`);
+    else if (combined.vdl2.avlc.acars.reassembly.partial) console.log(`🧩 ACARS message ${key} is missing block(s)`);
+    emit(combined);
+  }
+
+  function push(pkt) {
+    const acars = pkt?.vdl2?.avlc?.acars;
+    if (!acars) return emit(pkt);
+
+    const key = keyFor(pkt, acars);
+
+    // dumpvdl2 built with libacars may reassemble itself; trust its result
+    if (acars.assstat === "complete") {
+      const group = groups.get(key);
+      if (group) { clearTimeout(group.timer); groups.delete(key); }
+      return emit(pkt);
+    }
+
+    let group = groups.get(key);
+    // Single-block message; a later final block on its own goes through the
+    // group so it comes out marked partial
+    if (!acars.more && !group && (acars.msg_num_seq || "A") === "A") return emit(pkt);
+
+    if (!group) {
+      group = { blocks: [], timer: null };
+      groups.set(key, group);
+    }
+    const block = { seq: acars.msg_num_seq || "", blk: acars.blk_id || "", text: acars.msg_text || "", pkt };
+    // Retransmitted blocks replace the earlier copy
+    const dup = group.blocks.findIndex((b) => b.seq === block.seq && b.blk === block.blk);
+    if (dup >= 0) group.blocks[dup] = block;
+    else group.blocks.push(block);
+
+    if (!acars.more) return finish(key, false);
+
+    clearTimeout(group.timer);
+    group.timer = setTimeout(() => finish(key, true), timeoutMs);
+    group.timer.unref?.();
+  }
+
+  // Emit everything still pending (e.g. on shutdown)
+  function flush() {
+    for (const key of [...groups.keys()]) finish(key, true);
+  }
+
+  return { push, flush, pending: () => groups.size };
+}
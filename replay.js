@@ -0,0 +1,255 @@
+// replay.js — Feed a recorded JSONL log back through the live pipeline
+// Accepts our own received-*.jsonl files as well as raw dumpvdl2 JSON output.
+// The API only replays *.jsonl files from logDir (the /files listing); other
+// paths are for the --replay command line option. The log being written right
+// now is refused: replays aren't logged, so it would just keep growing under
+// the reader.
+
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import express from "express";
+
+/* =========================
+   Helpers
+   ========================= */
+function packetTime(pkt) {
+  const t = pkt?.vdl2?.t;
+  if (t?.sec) return t.sec * 1000 + (t.usec || 0) / 1000;
+  const iso = Date.parse(pkt?.timestamp_iso ?? "");
+  return Number.isFinite(iso) ? iso : null;
+}
+
+// Drop fields the server adds so the packet is enriched fresh
+function stripEnrichment(pkt) {
+  const { db, timestamp_iso, replay, hex, direction, ground_station, ...raw } = pkt;
+  return raw;
+}
+
+// What /files lists and /start accepts
+const isLogFile = (name) => /^[\w.-]+\.jsonl$/.test(name) && !name.includes("latest");
+
+function parseSeekTarget(raw) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  const n = Number(raw);
+  const t = Number.isFinite(n) ? (n < 1e12 ? n * 1000 : n) : Date.parse(raw);
+  return Number.isFinite(t) ? t : NaN;
+}
+
+/* =========================
+   Replay engine
+   ========================= */
+// currentLog(): path of the daily log being written
+export function createReplay({ ingest, logDir, currentLog = () => null }) {
+  let session = null;
+
+  // anyPath: operator's command line, where a full path is fine
+  function resolvePath(file, anyPath) {
+    if (anyPath && path.isAbsolute(file)) return file;
+    const name = path.basename(file);
+    if (!isLogFile(name)) throw new Error(`'${file}' is not a log file in ${logDir}`);
+    return path.join(logDir, name);
+  }
+
+  const samePath = (a, b) => {
+    try { return fs.realpathSync(a) === fs.realpathSync(b); } catch (_) { return false; }
+  };
+
+  function status() {
+    if (!session) return { state: "idle" };
+    return {
+      state: session.state,
+      file: session.file,
+      speed: session.speed,
+      maxGap: session.maxGap,
+      line: session.line,
+      sent: session.sent,
+      position: session.lastTime ? new Date(session.lastTime).toISOString() : null,
+      seekingTo: session.seekTime ? new Date(session.seekTime).toISOString() : session.seekLine,
+      error: session.error || null,
+    };
+  }
+
+  // Sleep that wakes early on stop/seek and stretches while paused
+  function wait(s, ms) {
+    return new Promise((resolve) => {
+      s.wake = resolve;
+      s.timer = setTimeout(resolve, ms);
+    }).then(() => {
+      clearTimeout(s.timer);
+      s.wake = null;
+      if (s.state === "paused") return new Promise((resolve) => { s.wake = resolve; });
+    });
+  }
+
+  function wakeUp(s) {
+    if (s?.wake) s.wake();
+  }
+
+  async function run(s) {
+    const input = fs.createReadStream(s.path, { encoding: "utf8" });
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    let prevTime = null;
+    try {
+      for await (const line of rl) {
+        if (s.state === "stopped" || s.restart) break;
+        s.line++;
+        if (!line.trim()) continue;
+
+        let pkt;
+        try { pkt = JSON.parse(line); } catch (_) { continue; }
+        if (!pkt?.vdl2) continue;
+        const t = packetTime(pkt);
+
+        // Fast-forward without emitting until we reach the seek target
+        if (s.seekLine !== null && s.line < s.seekLine) continue;
+        if (s.seekTime !== null && (t === null || t < s.seekTime)) continue;
+        if (s.seekLine !== null || s.seekTime !== null) {
+          s.seekLine = null;
+          s.seekTime = null;
+          prevTime = null;
+        }
+
+        if (prevTime !== null && t !== null && t > prevTime) {
+          let gap = t - prevTime;
+          if (s.maxGap) gap = Math.min(gap, s.maxGap * 1000);
+          await wait(s, gap / s.speed);
+        } else if (s.state === "paused") {
+          await wait(s, 0);
+        }
+        if (s.state === "stopped" || s.restart) break;
+
+        if (t !== null) { prevTime = t; s.lastTime = t; }
+        ingest({ ...stripEnrichment(pkt), replay: true });
+        s.sent++;
+      }
+    } catch (err) {
+      s.error = err.message;
+      console.error("❌ Replay failed:", err.message);
+    } finally {
+      rl.close();
+      input.destroy();
+    }
+
+    // Seek restarts the read from the top of the file
+    if (s.restart && s.state !== "stopped") {
+      s.restart = false;
+      s.line = 0;
+      return run(s);
+    }
+    if (s.state !== "stopped") s.state = s.error ? "error" : "finished";
+    console.log(`⏹️  Replay ${s.state}: ${s.sent} packets from ${s.file}`);
+  }
+
+  function start(file, { speed = 1, maxGap = 0, from = null, anyPath = false } = {}) {
+    const p = resolvePath(file, anyPath);
+    if (!fs.existsSync(p)) throw new Error(`File not found: ${p}`);
+    if (currentLog() && samePath(p, currentLog())) {
+      throw new Error(`${path.basename(p)} is the log being written right now; replay it once it has rotated`);
+    }
+    stop();
+    const seekTime = parseSeekTarget(from);
+    if (Number.isNaN(seekTime)) throw new Error("Invalid 'from' time");
+    speed = Number(speed);
+    if (!(speed > 0)) throw new Error("Speed must be a positive number");
+
+    session = {
+      file: path.basename(p),
+      path: p,
+      speed,
+      maxGap: Number(maxGap) || 0,
+      state: "playing",
+      line: 0,
+      sent: 0,
+      lastTime: null,
+      seekTime,
+      seekLine: null,
+      restart: false,
+      wake: null,
+      timer: null,
+      error: null,
+    };
+    console.log(`▶️  Replaying ${p} at ${speed}x`);
+    run(session);
+    return status();
+  }
+
+  function stop() {
+    if (!session) return status();
+    session.state = "stopped";
+    wakeUp(session);
+    return status();
+  }
+
+  function pause() {
+    if (session?.state === "playing") session.state = "paused";
+    return status();
+  }
+
+  function resume() {
+    if (session?.state === "paused") {
+      session.state = "playing";
+      wakeUp(session);
+    }
+    return status();
+  }
+
+  function setSpeed(speed) {
+    speed = Number(speed);
+    if (!(speed > 0)) throw new Error("Speed must be a positive number");
+    if (session) session.speed = speed;
+    return status();
+  }
+
+  function seek({ to, line }) {
+    if (!session || !["playing", "paused"].includes(session.state)) {
+      throw new Error("No active replay");
+    }
+    if (line !== undefined) {
+      const n = parseInt(line, 10);
+      if (!(n >= 0)) throw new Error("Invalid line number");
+      session.seekLine = n;
+      session.seekTime = null;
+    } else {
+      const t = parseSeekTarget(to);
+      if (t === null || Number.isNaN(t)) throw new Error("Invalid seek time");
+      session.seekTime = t;
+      session.seekLine = null;
+    }
+    session.restart = true;
+    wakeUp(session);
+    return status();
+  }
+
+  /* ---------- /api/replay routes ---------- */
+  const router = express.Router();
+  const handle = (fn) => (req, res) => {
+    try {
+      res.json(fn(req.body || {}, req));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  };
+
+  router.get("/", (req, res) => res.json(status()));
+  router.get("/files", (req, res) => {
+    try {
+      const files = fs.readdirSync(logDir)
+        .filter(isLogFile)
+        .sort();
+      res.json(files);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+  router.post("/start", express.json(), handle((b) => start(b.file || "", {
+    speed: b.speed, maxGap: b.maxGap, from: b.from,
+  })));
+  router.post("/stop", handle(() => stop()));
+  router.post("/pause", handle(() => pause()));
+  router.post("/resume", handle(() => resume()));
+  router.post("/speed", express.json(), handle((b) => setSpeed(b.speed)));
+  router.post("/seek", express.json(), handle((b) => seek(b)));
+
+  return { router, start, stop, pause, resume, seek, setSpeed, status };
+}
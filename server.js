@@ -1,49 +1,74 @@
-// server.js — UDP → SQLite enrichment → WebSocket + Events + daily rotation + unknown logging
+// server.js — UDP → SQLite enrichment → WebSocket + output sinks + Events + daily rotation + unknown registry
 
 import dgram from "node:dgram";
 import fs from "node:fs";
+import http from "node:http";
 import path from "node:path";
 import express from "express";
 import cors from "cors";
 import { WebSocketServer } from "ws";
-import Database from "better-sqlite3";
-import controllerRouter from "./controller.js";
+import config, { publicConfig } from "./config.js";
+import { createAuth } from "./auth.js";
+import controllerRouter, {
+  startDumpvdl2, autostartDumpvdl2, stopDumpvdl2, listInstances, onInstancesChange, instanceFor,
+} from "./controller.js";
+import { createProfileStore } from "./profiles.js";
+import historyRouter, { parseHistoryQuery, searchLogs } from "./history.js";
+import exportRouter from "./export.js";
+import { openMessageStore } from "./store.js";
+import { createReplay } from "./replay.js";
+import { compileFilter } from "./filter.js";
+import { createAircraftTracker } from "./aircraft.js";
+import { createAlertEngine } from "./alerts.js";
+import { createSinkManager } from "./sinks.js";
+import { decodeAcars } from "./acars.js";
+import { createReassembler } from "./reassembly.js";
+import { createEventStats } from "./events.js";
+import { createRadioStats } from "./radio.js";
+import { createStationDirectory } from "./stations.js";
+import { openAircraftDb } from "./aircraftdb.js";
+import { createUnknownRegistry } from "./unknowns.js";
+import { icaoInfo } from "./icao.js";
+import { dateStamp, normalizeHex, classifyFrame } from "./util.js";
 
 /* =========================
    Config
    ========================= */
-const UDP_PORT   = 5555;                       // UDP input (dumpvdl2)
-const WS_PORT    = 8080;                       // WebSocket server
-const HTTP_PORT  = 3000;                       // Express static/API
-const LOG_DIR    = "/var/log/vdl2";            // Daily JSONL logs dir
+// Ports, paths and toggles come from config.js (config.json, VDL2_* env, CLI flags)
+const UDP_PORT   = config.udpPort;             // UDP input (dumpvdl2, default instance)
+const HTTP_PORT  = config.httpPort;            // Express static/API + WebSocket
+const WS_PATH    = config.wsPath;              // WebSocket path on the HTTP port
+const WS_PORT    = config.wsPort;              // Legacy standalone WebSocket port (0 = off)
+const LOG_DIR    = config.logDir;              // Daily JSONL logs dir
 const LOG_PREFIX = "received";
-const KEEP_DAYS  = 7;                          // Retain daily logs
-const DB_PATH    = path.join(process.cwd(), "aircraft.db"); // <- ensure correct path
-
-// Logs for unknown ICAOs (one file per day)
-const UNKNOWN_DIR = "/var/www/localhost/logs";
+const KEEP_DAYS  = config.keepDays;            // Retain daily logs
+const AIRCRAFT_TTL_MS = 60 * 60 * 1000;        // Drop aircraft not heard for 1h
+const REASSEMBLY_TIMEOUT_MS = 30_000;          // Emit incomplete multi-block ACARS after 30s
+const DB_PATH    = config.dbPath;              // aircraft.db (enrichment + local overrides)
+const MSG_DB_PATH = path.join(config.dataDir, "messages.db"); // writable message store
+const ALERTS_FILE = path.join(config.dataDir, "alerts.json"); // persisted alert rules
+const SINKS_FILE  = path.join(config.dataDir, "sinks.json");  // outbound UDP/TCP/MQTT feeds
+const STATS_FILE  = path.join(config.dataDir, "stats.json");  // event stats checkpoint + rollups
+const STATIONS_FILE = path.join(config.dataDir, "ground-stations.json"); // local ground station list (optional)
+const USERS_FILE  = path.join(config.dataDir, "users.json");  // login users (scrypt-hashed)
+const PROFILES_FILE = path.join(config.dataDir, "profiles.json"); // named dumpvdl2 receiver profiles
+const STATS_CHECKPOINT_MS = 5 * 60 * 1000;     // Checkpoint event stats every 5 min
+
+// Where older versions wrote unknown_hex_*.log; imported once into the registry
+const UNKNOWN_DIR = config.unknownDir;
 
 // Debug toggle for lookup logging
-const DEBUG_LOOKUPS = true;
+const DEBUG_LOOKUPS = config.debugLookups;
+
+// CLI: node server.js --replay <file> [--speed <multiplier>]
+const REPLAY_FILE  = config.replay;
+const REPLAY_SPEED = config.replaySpeed;
 
 /* =========================
    Utilities
    ========================= */
-const pad2 = (n) => n.toString().padStart(2, "0");
-const dateStamp = (d = new Date()) =>
-  `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
 const logPathFor = (dStr) => path.join(LOG_DIR, `${LOG_PREFIX}-${dStr}.jsonl`);
 
-// Normalize ICAO to your DB style: 6 chars, lowercase, zero-padded
-function normalizeHex(raw) {
-  return (raw ?? "")
-    .toString()
-    .trim()
-    .replace(/[^0-9a-fA-F]/g, "")
-    .padStart(6, "0")
-    .toLowerCase();
-}
-
 /* =========================
    Daily rotation for JSONL
    ========================= */
@@ -79,48 +104,64 @@ function rotateIfNeeded() {
     try { fs.appendFileSync(SAVE_FILE, ""); } catch(_) {}
     updateLatestSymlink();
     pruneOldLogs();
+    store.prune();
     console.log(`🗓️  Rotated log to ${SAVE_FILE}`);
   }
 }
 setInterval(rotateIfNeeded, 30_000);
 
 /* =========================
-   Unknown ICAO logging
+   SQLite setup (new schema)
    ========================= */
-fs.mkdirSync(UNKNOWN_DIR, { recursive: true });
-const unknownCache = new Set(); // avoid repeated lines per runtime
-
-function logUnknownHex(hex) {
-  if (!hex) return;
-  if (unknownCache.has(hex)) return;
-  unknownCache.add(hex);
-
-  const today = dateStamp();
-  const p = path.join(UNKNOWN_DIR, `unknown_hex_${today}.log`);
-  const line = `${new Date().toISOString()} ${hex} — not found in DB\n`;
-  try { fs.appendFileSync(p, line); }
-  catch (err) { console.error("❌ Failed to log unknown:", err.message); }
+// Lookups check the operator overrides table first (aircraftdb.js). The file
+// must exist: import-aircraft.js creates it.
+let aircraftDb;
+try {
+  aircraftDb = openAircraftDb(DB_PATH, { fileMustExist: true });
+  const { aircraft, overrides } = aircraftDb.counts();
+  console.log(`🗃️  Opened SQLite DB: ${DB_PATH} (${aircraft} aircraft, ${overrides} overrides)`);
+  if (!aircraft) {
+    console.warn(`⚠️  ${DB_PATH} has no aircraft rows: packets won't be enriched. ` +
+      "Load a dump with: node import-aircraft.js <dump> --db " + DB_PATH);
+  }
+} catch (err) {
+  console.error(`❌ SQLite open error (${DB_PATH}):`, err.message);
+  if (!fs.existsSync(DB_PATH)) console.error("   Create it with: node import-aircraft.js <dump> --db " + DB_PATH);
+  process.exit(1);
 }
 
 /* =========================
-   SQLite setup (new schema)
+   Unknown aircraft registry
    ========================= */
-let db;
+// Hexes without a DB match: first/last seen, flights, samples, review status
+const unknowns = createUnknownRegistry({ aircraftDb, legacyDir: UNKNOWN_DIR });
+console.log(`❔ Unknown aircraft registry: ${unknowns.size()} hex(es)`);
+
+/* =========================
+   Message store (writable SQLite)
+   ========================= */
+let store;
 try {
-  db = new Database(DB_PATH, { readonly: true });
-  console.log(`🗃️  Opened SQLite DB: ${DB_PATH}`);
+  store = openMessageStore(MSG_DB_PATH, { keepDays: KEEP_DAYS });
+  console.log(`🗃️  Opened message store: ${MSG_DB_PATH}`);
 } catch (err) {
-  console.error("❌ SQLite open error:", err.message);
+  console.error("❌ Message store open error:", err.message);
   process.exit(1);
 }
 
-// Prepared statement — case-sensitive match (we normalize input already)
-const stmtLookup = db.prepare(`
-  SELECT icao, reg, icaotype, year, manufacturer, model,
-         ownop, faa_pia, faa_ladd, short_type, mil
-  FROM aircraft
-  WHERE icao = ?
-`);
+// Flush pending inserts before the process goes away
+process.on("exit", () => {
+  try { reassembler.flush(); } catch (_) {}
+  try { store.close(); } catch (_) {}
+  try { unknowns.flush(); } catch (_) {}
+  try { aircraftDb.close(); } catch (_) {}
+  try { events.checkpoint(); } catch (_) {}
+  try { sinks.close(); } catch (_) {}
+});
+// dumpvdl2 gets its SIGTERM (and SIGKILL grace period) before we go
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.on(sig, () => stopDumpvdl2().finally(() => process.exit(0)));
+}
 
 /* =========================
    Express + WebSocket
@@ -128,84 +169,257 @@ const stmtLookup = db.prepare(`
 const app = express();
 app.use(cors());
 app.use(express.static(path.join(process.cwd(), "public")));
+
+// What the front end needs to find the WebSocket (no filesystem paths)
+app.get("/api/config", (req, res) => res.json(publicConfig(config)));
+
+// Login/logout are open; everything else under /api needs a session.
+// Reads are for viewers, writes and dumpvdl2 status/logs for operators.
+const auth = createAuth({
+  file: USERS_FILE,
+  enabled: config.authEnabled,
+  sessionTtlMs: config.sessionHours * 3600 * 1000,
+});
+app.use("/api/auth", auth.router);
+app.use("/api", auth.guard({ operatorPaths: ["/status", "/logs", "/profiles", "/instances", "/sinks"] }));
 app.use("/api", controllerRouter);
 
-const wss = new WebSocketServer({ port: WS_PORT }, () =>
-  console.log(`🔌 WebSocket server: ws://localhost:${WS_PORT}`)
-);
-app.listen(HTTP_PORT, () =>
-  console.log(`🌐 HTTP server at http://localhost:${HTTP_PORT}`)
-);
+const profiles = createProfileStore({ file: PROFILES_FILE, start: startDumpvdl2, udpPort: UDP_PORT });
+app.use("/api/profiles", profiles.router);
+app.use("/api/aircraft-db/unknown", unknowns.router);
+app.use("/api/aircraft-db", aircraftDb.router);
+
+// Start-on-boot with whatever was started last
+if (config.autostart) autostartDumpvdl2(profiles.get);
+
+// The WebSocket shares the HTTP port under WS_PATH; the old standalone port
+// keeps working for existing clients unless wsPort is 0
+const server = http.createServer(app);
+const wss = new WebSocketServer({ noServer: true });
+
+function acceptUpgrades(httpServer, onlyPath) {
+  httpServer.on("upgrade", (req, socket, head) => {
+    const { pathname } = new URL(req.url || "/", "http://localhost");
+    if (onlyPath && pathname !== onlyPath) return socket.destroy();
+    const user = auth.authenticate(req);
+    if (!user) {
+      socket.end("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.user = user;
+      wss.emit("connection", ws, req);
+    });
+  });
+}
+acceptUpgrades(server, WS_PATH);
+
+if (WS_PORT) {
+  const legacy = http.createServer((req, res) => res.writeHead(426).end("WebSocket only\n"));
+  acceptUpgrades(legacy, null);
+  legacy.listen(WS_PORT, () => console.log(`🔌 WebSocket server (legacy port): ws://localhost:${WS_PORT}`));
+}
 
 /* =========================
-   Events aggregation
+   WebSocket backlog (ring buffer + resume)
    ========================= */
-let totalPackets = 0;
-const uniqueHex = new Set();
-const uniqueFlights = new Set();
-const topOwners = new Map();
-const topModels = new Map();
-let timeline = [];
-
-function incMap(map, key) { map.set(key, (map.get(key) || 0) + 1); }
-
-function updateStats(pkt) {
-  totalPackets++;
-  const hex = pkt.vdl2?.avlc?.src?.addr ? normalizeHex(pkt.vdl2.avlc.src.addr) : "";
-  const flight = pkt.vdl2?.avlc?.acars?.flight || "";
-  const owner = pkt.db?.ownop || "Unknown";
-  const model = pkt.db?.icaotype || "Unknown";
-
-  if (hex) uniqueHex.add(hex);
-  if (flight) uniqueFlights.add(flight);
-
-  incMap(topOwners, owner);
-  incMap(topModels, model);
-
-  const key = new Date().toISOString().slice(0, 16); // per-minute bucket
-  let bucket = timeline.length && timeline[timeline.length - 1].time === key
-    ? timeline[timeline.length - 1]
-    : null;
-  if (!bucket) {
-    bucket = { time: key, count: 0 };
-    timeline.push(bucket);
-    if (timeline.length > 1440) timeline.shift(); // last 24h
+const BACKLOG_SIZE   = 2000;                   // packets kept for resume
+const BACKFILL_COUNT = 200;                    // sent to fresh clients
+const WS_EPOCH       = Date.now();             // lets clients detect a server restart
+let wsSeq = 0;
+const backlog = [];                            // [{ seq, payload, pkt }]
+
+function rememberPayload(seq, payload, pkt) {
+  backlog.push({ seq, payload, pkt });
+  if (backlog.length > BACKLOG_SIZE) backlog.shift();
+}
+
+// Clients reconnect with ?since=<last seq>&epoch=<epoch> to pick up missed packets
+function backfillFor(params, filter) {
+  const since = parseInt(params.get("since"), 10);
+  const sameEpoch = Number(params.get("epoch")) === WS_EPOCH;
+  const matching = filter ? backlog.filter((e) => filter.test(e.pkt)) : backlog;
+
+  if (!sameEpoch || !Number.isFinite(since)) {
+    return { entries: matching.slice(-BACKFILL_COUNT), gap: false };
   }
-  bucket.count++;
+  const entries = matching.filter((e) => e.seq > since);
+  const gap = backlog.length > 0 && backlog[0].seq > since + 1;
+  return { entries, gap };
 }
 
-const eventsRouter = express.Router();
-eventsRouter.get("/summary", (req, res) => {
-  const topO = [...topOwners.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10)
-    .map(([owner, count]) => ({ owner, count }));
-  const topM = [...topModels.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10)
-    .map(([model, count]) => ({ model, count }));
-
-  res.json({
-    totalPackets,
-    uniqueAircraft: uniqueHex.size,
-    uniqueFlights: uniqueFlights.size,
-    topOwners: topO,
-    topModels: topM,
+function sendBackfill(ws, entries, gap = false) {
+  if (!entries.length) return;
+  ws.send(`{"type":"backfill","gap":${gap},"packets":[${entries.map((e) => e.payload).join(",")}]}`);
+}
+
+/* =========================
+   WebSocket subscriptions (server-side filters)
+   ========================= */
+// A filter can be given at connect (?filter=<json>) or changed later with
+//   { "type": "subscribe", "filter": { ... }, "backfill": true }
+//   { "type": "unsubscribe" }
+function setSubscription(ws, raw) {
+  ws.filter = raw ? compileFilter(raw) : null;
+  ws.send(JSON.stringify({ type: "subscribed", filter: ws.filter?.spec ?? null }));
+}
+
+wss.on("connection", (ws, req) => {
+  const params = new URL(req.url || "/", "http://localhost").searchParams;
+  ws.filter = null;
+  ws.send(JSON.stringify({ type: "hello", epoch: WS_EPOCH, seq: wsSeq }));
+
+  // A bad connect-time filter closes the socket: streaming unfiltered would
+  // look like the subscription the client asked for
+  if (params.has("filter")) {
+    try {
+      setSubscription(ws, JSON.parse(params.get("filter")));
+    } catch (err) {
+      const error = `Bad filter: ${err.message}`;
+      ws.send(JSON.stringify({ type: "error", error }));
+      // Policy violation; a close reason is capped at 123 bytes
+      return ws.close(1008, Buffer.from(error).subarray(0, 120).toString());
+    }
+  }
+  const { entries, gap } = backfillFor(params, ws.filter);
+  sendBackfill(ws, entries, gap);
+
+  ws.on("message", (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch (_) {
+      return ws.send(JSON.stringify({ type: "error", error: "Invalid JSON" }));
+    }
+    try {
+      if (msg.type === "subscribe") {
+        setSubscription(ws, msg.filter || {});
+        if (msg.backfill) sendBackfill(ws, backfillFor(new URLSearchParams(), ws.filter).entries);
+      } else if (msg.type === "unsubscribe") {
+        setSubscription(ws, null);
+      }
+    } catch (err) {
+      ws.send(JSON.stringify({ type: "error", error: err.message }));
+    }
   });
 });
-eventsRouter.get("/timeline", (req, res) => {
-  res.json(timeline.slice(-120)); // last 2 hours
+server.listen(HTTP_PORT, () => {
+  console.log(`🌐 HTTP server at http://localhost:${HTTP_PORT}`);
+  console.log(`🔌 WebSocket server: ws://localhost:${HTTP_PORT}${WS_PATH}`);
+});
+
+/* =========================
+   Events aggregation
+   ========================= */
+const events = createEventStats({ checkpointFile: STATS_FILE });
+app.use("/api/events", events.router);
+
+// Rebuild from the retained daily logs; anything logged after boot is
+// counted live, so stop at the boot time to avoid double counting.
+const bootTime = Date.now();
+events.rebuild(
+  searchLogs(logPathFor, parseHistoryQuery({ from: bootTime - KEEP_DAYS * 86400000, to: bootTime })),
+  { before: bootTime }
+).catch((err) => console.error("❌ Event stats rebuild failed:", err.message));
+setInterval(() => events.checkpoint(), STATS_CHECKPOINT_MS);
+
+/* =========================
+   Live aircraft table
+   ========================= */
+const tracker = createAircraftTracker({ ttlMs: AIRCRAFT_TTL_MS });
+app.use("/api/aircraft", tracker.router);
+
+/* =========================
+   Ground stations
+   ========================= */
+const stations = createStationDirectory({ localFile: STATIONS_FILE });
+app.use("/api/stations", stations.router);
+
+/* =========================
+   Radio / signal quality
+   ========================= */
+const radio = createRadioStats();
+app.use("/api/radio", radio.router);
+
+/* =========================
+   Alert rules
+   ========================= */
+// Alert events go to every client, regardless of its subscription filter
+const alerts = createAlertEngine({
+  file: ALERTS_FILE,
+  remoteWebhooks: config.remoteWebhooks,
+  notify: (event) => {
+    const payload = JSON.stringify(event);
+    for (const client of wss.clients) {
+      if (client.readyState === 1) client.send(payload);
+    }
+  },
 });
-app.use("/api/events", eventsRouter);
+app.use("/api/alerts", alerts.router);
+
+/* =========================
+   Output sinks (re-feed other tools)
+   ========================= */
+const sinks = createSinkManager({ file: SINKS_FILE });
+app.use("/api/sinks", sinks.router);
+
+/* =========================
+   History search (rotated logs)
+   ========================= */
+app.use("/api/history", historyRouter({ logPathFor }));
+
+/* =========================
+   Export (CSV / JSON / NDJSON / ACARS text)
+   ========================= */
+// "Export current view" names backlog seqs; only usable within the same run
+// and while the oldest of them is still buffered
+// In the order asked for; all or nothing, so an export never silently differs
+// from the view it was made from
+function bufferedPackets(epoch, seqs) {
+  if (epoch !== WS_EPOCH) return null;
+  const bySeq = new Map(backlog.map((e) => [e.seq, e.pkt]));
+  const packets = seqs.map((seq) => bySeq.get(seq));
+  return packets.every(Boolean) ? packets : null;
+}
+app.use("/api/export", exportRouter({ logPathFor, buffered: bufferedPackets }));
 
 /* =========================
    UDP → Enrich → Log → WS
    ========================= */
-const udp = dgram.createSocket("udp4");
-udp.bind(UDP_PORT, () => console.log(`🛰️  UDP listener on ${UDP_PORT}`));
+// One socket per decoder instance port (controller.js); the main UDP_PORT
+// is always open for dumpvdl2 started outside the controller
+const udpSockets = new Map(); // port -> dgram socket
+
+function listenUdp(port) {
+  const sock = dgram.createSocket("udp4");
+  sock.on("message", (msg) => onUdpMessage(msg, port));
+  sock.on("error", (err) => {
+    console.error(`❌ UDP ${port} error:`, err.message);
+    sock.close();
+    udpSockets.delete(port);
+  });
+  sock.bind(port, () => console.log(`🛰️  UDP listener on ${port}`));
+  udpSockets.set(port, sock);
+}
+
+function syncUdpListeners(instances) {
+  const ports = new Set([UDP_PORT, ...instances.map((i) => i.udpPort)]);
+  for (const port of ports) if (!udpSockets.has(port)) listenUdp(port);
+  for (const [port, sock] of udpSockets) {
+    if (ports.has(port)) continue;
+    sock.close();
+    udpSockets.delete(port);
+    console.log(`🛰️  UDP listener on ${port} closed`);
+  }
+}
 
 // Log one lookup line per ICAO per runtime (to avoid spam)
 const lookupSeen = new Set();
 
-udp.on("message", (msg) => {
-  rotateIfNeeded();
+// Multi-block ACARS messages are combined before they enter the pipeline
+const reassembler = createReassembler({ emit: ingestPacket, timeoutMs: REASSEMBLY_TIMEOUT_MS });
 
+function onUdpMessage(msg, port) {
   const text = msg.toString().trim();
   let parsed;
   try {
@@ -214,15 +428,29 @@ udp.on("message", (msg) => {
     console.error("Invalid JSON:", err.message);
     return;
   }
+  // Tag with the decoder instance that sent it (--station-id, else by port)
+  const instance = instanceFor({ station: parsed?.vdl2?.station, port });
+  if (instance) parsed.instance = instance;
+  reassembler.push(parsed);
+}
+
+syncUdpListeners(listInstances());
+onInstancesChange(syncUdpListeners);
+
+// Shared by the UDP listener and replay mode (via the reassembler)
+function ingestPacket(parsed) {
+  rotateIfNeeded();
 
   const vdl2 = parsed?.vdl2 || {};
-  const rawHex = vdl2?.avlc?.src?.addr ?? "";
-  const hex = normalizeHex(rawHex);
+  // Uplinks come from the ground station; the aircraft is the destination
+  const frame = classifyFrame(vdl2?.avlc);
+  const hex = frame.aircraft ? normalizeHex(frame.aircraft) : "";
+  const groundStation = stations.learn(parsed);
 
   let enriched = {};
   if (hex) {
     try {
-      const row = stmtLookup.get(hex);
+      const row = aircraftDb.lookup(hex);
       if (row) {
         enriched = {
           reg:         row.reg || "",
@@ -235,6 +463,8 @@ udp.on("message", (msg) => {
           mil:        !!row.mil,
           faa_pia:    !!row.faa_pia,
           faa_ladd:   !!row.faa_ladd,
+          ...(row.tags.length && { tags: row.tags }),
+          ...(row.overridden && { override: true }),
         };
         if (DEBUG_LOOKUPS && !lookupSeen.has(hex)) {
           lookupSeen.add(hex);
@@ -245,36 +475,84 @@ udp.on("message", (msg) => {
           lookupSeen.add(hex);
           console.log(`❔ No DB match for ${hex}`);
         }
-        logUnknownHex(hex);
+        if (!parsed.replay) unknowns.record(hex, parsed);
       }
     } catch (err) {
       console.error("DB lookup error for", hex, "→", err.message);
     }
   } else {
-    if (DEBUG_LOOKUPS) console.log("ℹ️ Packet without src.addr — skipping DB lookup");
+    if (DEBUG_LOOKUPS) console.log(`ℹ️ ${frame.direction} frame without aircraft address — skipping DB lookup`);
+  }
+
+  // What the address alone says, for DB hits and misses alike (icao.js)
+  if (hex) {
+    const block = icaoInfo(hex);
+    enriched.country = block.country || "";
+    enriched.country_iso = block.iso || "";
+    if (block.military) enriched.mil_block = true;
+    if (!block.valid) enriched.hex_invalid = block.reason;
   }
 
   const outObj = {
     ...parsed,
+    hex,
+    direction: frame.direction,
+    ground_station: groundStation,
     db: enriched,
     timestamp_iso: vdl2?.t?.sec
       ? new Date(vdl2.t.sec * 1000).toISOString()
       : new Date().toISOString(),
   };
 
-  // Append to daily JSONL
-  try {
-    fs.appendFileSync(SAVE_FILE, JSON.stringify(outObj) + "\n");
-  } catch (err) {
-    console.error("❌ Failed writing daily log:", err.message);
+  // Structured view of common ACARS labels (OOOI, position, weather, PDC…)
+  const acars = vdl2?.avlc?.acars;
+  if (acars) outObj.decoded = decodeAcars(acars);
+
+  // Replayed frames (outObj.replay) go through every live view — stats,
+  // tracker, radio, alerts in the browser, WebSocket — so those can be
+  // debugged without traffic, but nothing that persists or leaves the box:
+  // daily log, message store, unknown registry, daily rollups, webhooks
+  // (and sinks unless they opt in). They are already in a log.
+  if (!outObj.replay) {
+    // Append to daily JSONL
+    try {
+      fs.appendFileSync(SAVE_FILE, JSON.stringify(outObj) + "\n");
+    } catch (err) {
+      console.error("❌ Failed writing daily log:", err.message);
+    }
+
+    // Queue for the SQLite message store (flushed in batches)
+    store.add(outObj);
   }
 
   // Update in-memory stats
-  updateStats(outObj);
-
-  // Broadcast to WebSocket clients
-  const payload = JSON.stringify(outObj);
+  events.update(outObj);
+  tracker.update(outObj);
+  radio.update(outObj);
+  alerts.evaluate(outObj);
+  sinks.publish(outObj);
+
+  // Broadcast to WebSocket clients (sequenced for backfill/resume)
+  const seq = ++wsSeq;
+  const payload = JSON.stringify({ ...outObj, seq });
+  rememberPayload(seq, payload, outObj);
   for (const client of wss.clients) {
-    if (client.readyState === 1) client.send(payload);
+    if (client.readyState !== 1) continue;
+    if (client.filter && !client.filter.test(outObj)) continue;
+    client.send(payload);
   }
-});
+}
+
+/* =========================
+   Replay (recorded JSONL → pipeline)
+   ========================= */
+const replay = createReplay({ ingest: reassembler.push, logDir: LOG_DIR, currentLog: () => SAVE_FILE });
+app.use("/api/replay", replay.router);
+
+if (REPLAY_FILE) {
+  try {
+    replay.start(REPLAY_FILE, { speed: REPLAY_SPEED, anyPath: true });
+  } catch (err) {
+    console.error("❌ Replay start failed:", err.message);
+  }
+}
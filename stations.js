@@ -0,0 +1,119 @@
+// stations.js — VDL2 ground station directory
+// Names come from data/ground-stations.json, extended or overridden by an
+// optional local list in dataDir. The repo ships that file empty: fill it
+// with import-stations.js from the airframes.io or dumpvdl2 --gs-file station
+// lists (see data/README.md; each entry keeps a "source" tag). Entries:
+//   { "addr": "10A6C4", "name": "Mexico City", "airport": "MMMX", "lat": 19.43, "lon": -99.07 }
+// Airport coverage and location announced in a station's own GSIF (XID)
+// broadcasts fill in stations the lists don't know yet.
+
+import fs from "node:fs";
+import express from "express";
+import { findPosition } from "./aircraft.js";
+import { classifyFrame } from "./util.js";
+
+const BUNDLED_FILE = new URL("./data/ground-stations.json", import.meta.url);
+
+const normalizeAddr = (addr) => (addr ?? "").toString().trim().toUpperCase();
+
+function loadList(file) {
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`❌ Failed to load ground stations from ${file}:`, err.message);
+    return [];
+  }
+  if (!Array.isArray(list)) {
+    console.error(`❌ Ground station list ${file} must be a JSON array`);
+    return [];
+  }
+  return list.filter((s) => s && /^[0-9A-F]{1,6}$/i.test(s.addr ?? ""));
+}
+
+// Airports and position from a GSIF frame's XID parameters
+function gsifDetails(xid) {
+  const params = [...(xid?.pub_params || []), ...(xid?.vdl_params || [])];
+  const out = { airports: [], position: null };
+  for (const p of params) {
+    if (p?.name === "airport_coverage" && Array.isArray(p.value)) {
+      out.airports.push(...p.value.filter((a) => typeof a === "string"));
+    } else if (p?.name === "gs_location") {
+      out.position = findPosition(p.value);
+    }
+  }
+  return out;
+}
+
+export function createStationDirectory({ localFile } = {}) {
+  const known = new Map(); // ADDR -> list entry
+  const seen = new Map();  // ADDR -> { frames, lastSeen, airports, position }
+
+  for (const file of [BUNDLED_FILE, localFile].filter(Boolean)) {
+    for (const s of loadList(file)) known.set(normalizeAddr(s.addr), s);
+  }
+  console.log(`📡 Loaded ${known.size} ground station(s)`);
+  if (!known.size) {
+    console.warn("⚠️  No ground station list: stations are named after the airports they announce. " +
+      "Import one with: node import-stations.js <list> (see data/README.md)");
+  }
+
+  function lookup(addr) {
+    const key = normalizeAddr(addr);
+    if (!key) return null;
+    const entry = known.get(key);
+    const heard = seen.get(key);
+    const airport = entry?.airport || heard?.airports[0] || null;
+    return { addr: key, name: entry?.name || airport, airport };
+  }
+
+  // Record a frame involving a ground station; returns its lookup() result
+  function learn(pkt) {
+    const avlc = pkt?.vdl2?.avlc;
+    const { ground, direction } = classifyFrame(avlc);
+    if (!ground) return null;
+    const key = normalizeAddr(ground);
+
+    let heard = seen.get(key);
+    if (!heard) {
+      heard = { frames: 0, lastSeen: null, airports: [], position: null };
+      seen.set(key, heard);
+    }
+    heard.frames++;
+    heard.lastSeen = new Date().toISOString();
+
+    if (direction === "uplink" && avlc.xid) {
+      const { airports, position } = gsifDetails(avlc.xid);
+      if (airports.length) heard.airports = [...new Set(airports)];
+      if (position) heard.position = position;
+    }
+    return lookup(key);
+  }
+
+  function list() {
+    const addrs = new Set([...known.keys(), ...seen.keys()]);
+    return [...addrs].sort().map((addr) => {
+      const entry = known.get(addr) || {};
+      const heard = seen.get(addr);
+      return {
+        ...lookup(addr),
+        position: Number.isFinite(entry.lat) && Number.isFinite(entry.lon)
+          ? { lat: entry.lat, lon: entry.lon }
+          : heard?.position || null,
+        listed: known.has(addr),
+        frames: heard?.frames || 0,
+        lastSeen: heard?.lastSeen || null,
+        airports: heard?.airports || [],
+      };
+    });
+  }
+
+  /* ---------- /api/stations routes ---------- */
+  const router = express.Router();
+  router.get("/", (req, res) => {
+    const items = list();
+    res.json({ count: items.length, stations: items });
+  });
+
+  return { lookup, learn, list, router };
+}
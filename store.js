@@ -0,0 +1,102 @@
+// store.js — Writable SQLite message store (batched inserts + retention)
+// Packets are queued in memory and written in one transaction per flush,
+// so a burst on the UDP socket costs one insert batch instead of N syscalls.
+
+import Database from "better-sqlite3";
+import { packetHex } from "./util.js";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS messages (
+    id        INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts        INTEGER NOT NULL,          -- epoch milliseconds
+    hex       TEXT,
+    reg       TEXT,
+    flight    TEXT,
+    label     TEXT,
+    text      TEXT,
+    freq      INTEGER,                   -- Hz
+    sig_level REAL,
+    raw       TEXT NOT NULL              -- enriched packet as JSON
+  );
+  CREATE INDEX IF NOT EXISTS idx_messages_ts     ON messages (ts);
+  CREATE INDEX IF NOT EXISTS idx_messages_hex    ON messages (hex, ts);
+  CREATE INDEX IF NOT EXISTS idx_messages_flight ON messages (flight, ts);
+  CREATE INDEX IF NOT EXISTS idx_messages_label  ON messages (label, ts);
+`;
+
+function toRow(pkt) {
+  const vdl2 = pkt?.vdl2 || {};
+  const acars = vdl2.avlc?.acars || {};
+  const ts = vdl2.t?.sec
+    ? Math.round(vdl2.t.sec * 1000 + (vdl2.t.usec || 0) / 1000)
+    : Date.parse(pkt.timestamp_iso) || Date.now();
+  return {
+    ts,
+    hex:       packetHex(pkt) || null,
+    reg:       pkt.db?.reg || (acars.reg || "").replace(/^\.+/, "") || null,
+    flight:    acars.flight || null,
+    label:     acars.label || null,
+    text:      acars.msg_text || null,
+    freq:      vdl2.freq ?? null,
+    sig_level: vdl2.sig_level ?? null,
+    raw:       JSON.stringify(pkt),
+  };
+}
+
+export function openMessageStore(dbPath, { keepDays, flushMs = 1000, maxBatch = 500 } = {}) {
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.exec(SCHEMA);
+
+  const stmtInsert = db.prepare(`
+    INSERT INTO messages (ts, hex, reg, flight, label, text, freq, sig_level, raw)
+    VALUES (@ts, @hex, @reg, @flight, @label, @text, @freq, @sig_level, @raw)
+  `);
+  const stmtPrune = db.prepare(`DELETE FROM messages WHERE ts < ?`);
+  const insertMany = db.transaction((rows) => {
+    for (const row of rows) stmtInsert.run(row);
+  });
+
+  let queue = [];
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!queue.length) return 0;
+    const batch = queue;
+    queue = [];
+    try {
+      insertMany(batch);
+    } catch (err) {
+      console.error(`❌ Message store flush failed (${batch.length} rows):`, err.message);
+    }
+    return batch.length;
+  }
+
+  function add(pkt) {
+    queue.push(toRow(pkt));
+    if (queue.length >= maxBatch) flush();
+    else if (!timer) timer = setTimeout(flush, flushMs);
+  }
+
+  function prune() {
+    if (!keepDays) return 0;
+    const cutoff = Date.now() - keepDays * 86400000;
+    try {
+      return stmtPrune.run(cutoff).changes;
+    } catch (err) {
+      console.error("❌ Message store prune failed:", err.message);
+      return 0;
+    }
+  }
+
+  function close() {
+    flush();
+    db.close();
+  }
+
+  prune();
+  return { db, add, flush, prune, close };
+}
@@ -0,0 +1,203 @@
+// supervisor.js — Keeps one child process alive for controller.js
+// Unexpected exits are restarted with exponential backoff; too many exits in
+// a short window is treated as a crash loop and restarts stop until the next
+// manual start. A clean exit (code 0, no signal — e.g. an --iq-file run that
+// reached the end of its file) is finished work and is not restarted.
+// stop() sends SIGTERM, escalates to SIGKILL after a grace period and only
+// resolves once the process has actually exited.
+//
+// States: stopped → running → (backoff → running)* | crashloop | stopped (clean exit),
+//         stopping → stopped
+//
+// log(text, stream) gets one call per output line; stream is "out" or "err"
+// for the child's stdout/stderr and undefined for the supervisor's own messages.
+
+import { spawn } from "node:child_process";
+
+const BACKOFF_MIN_MS = 1000;
+const BACKOFF_MAX_MS = 60_000;
+const STABLE_AFTER_MS = 60_000;        // a run this long resets the backoff
+const CRASH_WINDOW_MS = 5 * 60_000;
+const CRASH_LIMIT = 5;                 // exits within the window → crash loop
+const STOP_GRACE_MS = 5000;            // SIGTERM → SIGKILL
+const ERROR_LINES = 20;                // stderr lines kept for status
+
+export function createSupervisor({ binary, log = console.log, restart = true }) {
+  let proc = null;
+  let state = "stopped";
+  let args = [];
+  let meta = {};
+  let startTime = null;
+  let restarts = 0;
+  let failures = 0;                    // consecutive quick exits, drives the backoff
+  let exits = [];                      // ms of unexpected exits inside CRASH_WINDOW_MS
+  let lastExit = null;                 // { code, signal, at, uptime }
+  let errorLines = [];
+  let restartTimer = null;
+  let restartAt = null;
+  let stopping = null;                 // Promise while a stop is in progress
+
+  const command = () => `${binary} ${args.join(" ")}`;
+
+  // Chunks can end mid-line; the tail waits for its newline (or end of stream)
+  function lineSplitter(stream) {
+    let pending = "";
+    const emit = (line) => {
+      const text = line.trimEnd();
+      if (!text) return;
+      if (stream === "err") keepErrorLines(text);
+      log(text, stream);
+    };
+    return {
+      push(data) {
+        const lines = (pending + data.toString()).split("\n");
+        pending = lines.pop();
+        lines.forEach(emit);
+      },
+      flush() {
+        emit(pending);
+        pending = "";
+      },
+    };
+  }
+
+  function keepErrorLines(text) {
+    for (const line of text.split("\n")) {
+      if (line.trim()) errorLines.push(line.trimEnd());
+    }
+    if (errorLines.length > ERROR_LINES) errorLines = errorLines.slice(-ERROR_LINES);
+  }
+
+  /* =========================
+     Spawn / exit
+     ========================= */
+  function spawnChild() {
+    restartTimer = null;
+    restartAt = null;
+    const child = spawn(binary, args, { stdio: ["ignore", "pipe", "pipe"] });
+    proc = child;
+    state = "running";
+    startTime = Date.now();
+    log(`Spawned dumpvdl2, PID ${child.pid}`);
+
+    for (const stream of ["stdout", "stderr"]) {
+      const lines = lineSplitter(stream === "stdout" ? "out" : "err");
+      child[stream].on("data", lines.push);
+      child[stream].on("end", lines.flush);
+    }
+    // 'error' without a pid means the spawn itself failed and no 'exit' follows
+    child.on("error", (err) => {
+      log("SPAWN ERROR: " + err.message);
+      keepErrorLines(err.message);
+      if (child.pid === undefined) onExit(child, null, null);
+    });
+    child.on("exit", (code, signal) => onExit(child, code, signal));
+  }
+
+  function onExit(child, code, signal) {
+    if (child !== proc) return;
+    const uptime = Date.now() - startTime;
+    proc = null;
+    startTime = null;
+    lastExit = { code, signal, at: new Date().toISOString(), uptime: Math.round(uptime / 1000) };
+    log(`dumpvdl2 exited (code=${code}, signal=${signal})`);
+
+    if (stopping || !restart) {
+      state = "stopped";
+      return;
+    }
+    if (code === 0 && !signal) {
+      state = "stopped";
+      log("dumpvdl2 finished, not restarting");
+      return;
+    }
+
+    const now = Date.now();
+    exits = [...exits.filter((t) => t > now - CRASH_WINDOW_MS), now];
+    if (exits.length >= CRASH_LIMIT) {
+      state = "crashloop";
+      log(`dumpvdl2 exited ${exits.length} times in ${CRASH_WINDOW_MS / 60_000} min, not restarting (crash loop)`);
+      return;
+    }
+
+    failures = uptime >= STABLE_AFTER_MS ? 1 : failures + 1;
+    const delay = Math.min(BACKOFF_MIN_MS * 2 ** (failures - 1), BACKOFF_MAX_MS);
+    state = "backoff";
+    restartAt = now + delay;
+    log(`Restarting dumpvdl2 in ${(delay / 1000).toFixed(0)}s (restart #${restarts + 1})`);
+    restartTimer = setTimeout(() => {
+      restarts++;
+      try {
+        spawnChild();
+      } catch (err) {
+        log("SPAWN ERROR: " + err.message);
+        keepErrorLines(err.message);
+        state = "stopped";
+      }
+    }, delay);
+  }
+
+  /* =========================
+     Control
+     ========================= */
+  // Throws if spawn() itself throws (bad arguments); later failures are
+  // handled by the restart logic
+  function start(newArgs, newMeta = {}) {
+    if (proc) return false;
+    clearTimeout(restartTimer);
+    args = newArgs;
+    meta = newMeta;
+    restarts = 0;
+    failures = 0;
+    exits = [];
+    errorLines = [];
+    spawnChild();
+    return true;
+  }
+
+  function stop() {
+    clearTimeout(restartTimer);
+    restartTimer = null;
+    restartAt = null;
+    if (!proc) {
+      state = "stopped";
+      return Promise.resolve();
+    }
+    if (stopping) return stopping;
+
+    const child = proc;
+    state = "stopping";
+    log(`Stopping dumpvdl2 (PID ${child.pid}), SIGTERM`);
+    stopping = new Promise((resolve) => {
+      const killTimer = setTimeout(() => {
+        log(`dumpvdl2 still running after ${STOP_GRACE_MS / 1000}s, SIGKILL`);
+        child.kill("SIGKILL");
+      }, STOP_GRACE_MS);
+      child.once("exit", () => {
+        clearTimeout(killTimer);
+        resolve();
+      });
+      child.kill("SIGTERM");
+    }).finally(() => {
+      stopping = null;
+    });
+    return stopping;
+  }
+
+  function status() {
+    return {
+      state,
+      running: !!proc,
+      pid: proc?.pid || null,
+      uptime: proc ? `${((Date.now() - startTime) / 1000).toFixed(0)}s` : "-",
+      command: args.length ? command() : "",
+      ...meta,
+      restarts,
+      nextRestartIn: restartAt ? Math.max(0, Math.round((restartAt - Date.now()) / 1000)) : null,
+      lastExit,
+      lastErrorLines: errorLines,
+    };
+  }
+
+  return { start, stop, status, isRunning: () => !!proc };
+}
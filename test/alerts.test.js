@@ -0,0 +1,42 @@
+// alerts.test.js — alert rule validation through /api/alerts
+// Run with: node --test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import express from "express";
+import { createAlertEngine } from "../alerts.js";
+
+// POSTs a rule with the given webhook to a fresh engine; resolves with the status
+async function postWebhook(t, webhook, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const engine = createAlertEngine({ file: path.join(dir, "alerts.json"), notify: () => {}, ...options });
+  const server = express().use("/alerts", engine.router).listen(0, "127.0.0.1");
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/alerts`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ name: "mil", match: { mil: true }, actions: { webhook } }),
+  });
+  return res.status;
+}
+
+test("webhooks are limited to local and private hosts", async (t) => {
+  for (const url of ["http://127.0.0.1:9000/hook", "http://localhost/hook", "http://192.168.1.20/hook",
+    "http://10.1.2.3/hook", "http://[::1]:9000/hook", "http://[fd00::1]/hook"]) {
+    assert.equal(await postWebhook(t, url), 201, url);
+  }
+  for (const url of ["https://example.com/hook", "http://8.8.8.8/hook", "http://172.32.0.1/hook",
+    "http://[2001:db8::1]/hook"]) {
+    assert.equal(await postWebhook(t, url), 400, url);
+  }
+});
+
+test("remoteWebhooks allows any host", async (t) => {
+  assert.equal(await postWebhook(t, "https://example.com/hook", { remoteWebhooks: true }), 201);
+});
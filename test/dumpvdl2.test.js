@@ -0,0 +1,160 @@
+// dumpvdl2.test.js — buildDumpvdl2Args(): generated command lines and field errors
+// Run with: node --test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildDumpvdl2Args, parseFrequency } from "../dumpvdl2.js";
+
+const rtl = (extra = {}) => ({ source: "rtlsdr", frequencies: "136.975", ...extra });
+const iq = (extra = {}) => ({ source: "iq-file", "iqFile.path": "/tmp/cap.iq", frequencies: "136.975", ...extra });
+
+// [flag, value] pair present in args (value omitted for boolean flags)
+function hasFlag(args, flag, value) {
+  const i = args.indexOf(flag);
+  assert.notEqual(i, -1, `${flag} missing from ${args.join(" ")}`);
+  if (value !== undefined) assert.equal(args[i + 1], value);
+}
+
+test("minimal rtlsdr form builds the default command line", () => {
+  const { args, errors } = buildDumpvdl2Args(rtl());
+  assert.equal(errors, null);
+  assert.deepEqual(args, [
+    "--rtlsdr", "0",
+    "--output", "decoded:json:udp:address=localhost,port=5555",
+    "136975000",
+  ]);
+});
+
+test("parseFrequency accepts MHz, kHz and Hz spellings", () => {
+  assert.equal(parseFrequency("136.975"), 136975000);
+  assert.equal(parseFrequency("136.975M"), 136975000);
+  assert.equal(parseFrequency("136975k"), 136975000);
+  assert.equal(parseFrequency("136975000"), 136975000);
+  assert.equal(parseFrequency("136.975 MHz"), 136975000);
+});
+
+test("several frequencies become separate Hz arguments at the end", () => {
+  const { args } = buildDumpvdl2Args(rtl({ frequencies: "136.725, 136.775 136.875;136975k" }));
+  assert.deepEqual(args.slice(-4), ["136725000", "136775000", "136875000", "136975000"]);
+
+  const fromArray = buildDumpvdl2Args(rtl({ frequencies: ["136.725", "136.975M"] }));
+  assert.deepEqual(fromArray.args.slice(-2), ["136725000", "136975000"]);
+});
+
+test("frequencies outside 118-137 MHz are rejected", () => {
+  assert.match(buildDumpvdl2Args(rtl({ frequencies: "117.975" })).errors.frequencies, /outside the 118-137 MHz airband/);
+  assert.match(buildDumpvdl2Args(rtl({ frequencies: "137.1" })).errors.frequencies, /outside/);
+  assert.equal(buildDumpvdl2Args(rtl({ frequencies: "118" })).errors, null);
+  assert.equal(buildDumpvdl2Args(rtl({ frequencies: "137" })).errors, null);
+  assert.match(buildDumpvdl2Args(rtl({ "rtlsdr.centerfreq": "100" })).errors["rtlsdr.centerfreq"], /outside/);
+});
+
+test("duplicate and too many frequencies are rejected", () => {
+  assert.equal(buildDumpvdl2Args(rtl({ frequencies: "136.975 136975k" })).errors.frequencies, "Duplicate frequency");
+  const nine = Array.from({ length: 9 }, (_, i) => `136.${100 + i * 25}`);
+  assert.match(buildDumpvdl2Args(rtl({ frequencies: nine })).errors.frequencies, /At most 8/);
+});
+
+test("rtlsdr fields map to their flags", () => {
+  const { args, errors } = buildDumpvdl2Args(rtl({
+    "rtlsdr.deviceId": "00000002",
+    "rtlsdr.gain": "40",
+    "rtlsdr.correction": "-1.5",
+    "rtlsdr.centerfreq": "136.9",
+    "rtlsdr.bias": "on",
+  }));
+  assert.equal(errors, null);
+  hasFlag(args, "--rtlsdr", "00000002");
+  hasFlag(args, "--gain", "40");
+  hasFlag(args, "--correction", "-1.5");
+  hasFlag(args, "--centerfreq", "136900000");
+  hasFlag(args, "--bias");
+});
+
+test("unchecked booleans emit no flag", () => {
+  const { args } = buildDumpvdl2Args(rtl({ "rtlsdr.bias": false, milliseconds: "", utc: "false" }));
+  for (const flag of ["--bias", "--milliseconds", "--utc"]) assert.ok(!args.includes(flag), flag);
+});
+
+test("iq-file fields map to their flags", () => {
+  const { args, errors } = buildDumpvdl2Args(iq({
+    "iqFile.centerfreq": "136.85",
+    "iqFile.oversample": "10",
+    "iqFile.sampleFormat": "S16LE",
+  }));
+  assert.equal(errors, null);
+  hasFlag(args, "--iq-file", "/tmp/cap.iq");
+  hasFlag(args, "--centerfreq", "136850000");
+  hasFlag(args, "--oversample", "10");
+  hasFlag(args, "--sample-format", "S16_LE");
+  assert.ok(!args.includes("--rtlsdr"));
+});
+
+test("rtlsdr fields are ignored for an iq-file source", () => {
+  const { args, errors } = buildDumpvdl2Args(iq({ "rtlsdr.gain": "400" }));
+  assert.equal(errors, null);
+  assert.ok(!args.includes("--gain"));
+});
+
+test("decoding switches map to their flags", () => {
+  const { args } = buildDumpvdl2Args(rtl({ milliseconds: "on", utc: "true", decodeFragments: true }));
+  hasFlag(args, "--milliseconds");
+  hasFlag(args, "--utc");
+  hasFlag(args, "--decode-fragments");
+});
+
+test("file output maps path and rotation into --output", () => {
+  const out = (extra) => buildDumpvdl2Args(rtl({ "output.type": "file", "output.file.path": "/var/log/vdl2.log", ...extra })).args;
+  hasFlag(out({}), "--output", "decoded:json:file:path=/var/log/vdl2.log,rotate=daily");
+  hasFlag(out({ "output.file.rotate": "hourly", "output.format": "text" }), "--output", "decoded:text:file:path=/var/log/vdl2.log,rotate=hourly");
+  hasFlag(out({ "output.file.rotate": "none" }), "--output", "decoded:json:file:path=/var/log/vdl2.log");
+});
+
+test("udp output uses the form address and the instance's port default", () => {
+  hasFlag(buildDumpvdl2Args(rtl(), { udpPort: 5601 }).args, "--output", "decoded:json:udp:address=localhost,port=5601");
+  hasFlag(buildDumpvdl2Args(rtl({ "output.udp.address": "10.0.0.2", "output.udp.port": "6000" }), { udpPort: 5601 }).args,
+    "--output", "decoded:json:udp:address=10.0.0.2,port=6000");
+});
+
+test("--station-id comes from the instance defaults", () => {
+  const { args } = buildDumpvdl2Args(rtl(), { stationId: "roof" });
+  hasFlag(args, "--station-id", "roof");
+  // Before --output and the positional channels
+  assert.ok(args.indexOf("--station-id") < args.indexOf("--output"));
+  assert.ok(!buildDumpvdl2Args(rtl()).args.includes("--station-id"));
+});
+
+test("bad input returns a per-field error map and no args", () => {
+  const { args, errors } = buildDumpvdl2Args({
+    source: "rtlsdr",
+    frequencies: "",
+    "rtlsdr.gain": "loud",
+    "rtlsdr.correction": "500",
+    "output.type": "file",
+    "output.file.path": "relative/path",
+    "output.format": "pp_acars",
+    "output.what": "raw",
+    bogus: "1",
+  });
+  assert.equal(args, null);
+  assert.deepEqual(errors, {
+    bogus: "Unknown option",
+    frequencies: "At least one frequency is required",
+    "rtlsdr.gain": "Must be a number",
+    "rtlsdr.correction": "Must be between -200 and 200",
+    "output.file.path": "Must be an absolute path",
+    "output.format": "pp_acars needs decoded output",
+  });
+});
+
+test("required fields for the chosen source are reported", () => {
+  assert.deepEqual(buildDumpvdl2Args({}).errors, {
+    source: "Choose an input source",
+    frequencies: "At least one frequency is required",
+  });
+  assert.deepEqual(buildDumpvdl2Args({ source: "iq-file", frequencies: "136.975", "iqFile.oversample": "2.5" }).errors, {
+    "iqFile.path": "I/Q file path is required",
+    "iqFile.oversample": "Must be a whole number",
+  });
+  assert.equal(buildDumpvdl2Args(iq({ "iqFile.sampleFormat": "F32" })).errors["iqFile.sampleFormat"], "Must be one of: U8, S16_LE");
+});
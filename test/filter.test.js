@@ -0,0 +1,46 @@
+// filter.test.js — compileFilter(): packet filter specs
+// Run with: node --test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileFilter } from "../filter.js";
+import { icaoInfo } from "../icao.js";
+
+// An enriched packet the way server.js builds its `db` part for a DB miss
+function packet(hex, db = {}) {
+  return {
+    hex,
+    db: { ...(icaoInfo(hex).military && { mil_block: true }), ...db },
+    vdl2: { avlc: { src: { addr: hex.toUpperCase(), type: "Aircraft" }, acars: { msg_text: "" } } },
+  };
+}
+
+test("mil matches an address in a military block without a DB flag", () => {
+  const pkt = packet("ae1234");
+  assert.equal(pkt.db.mil, undefined);
+  assert.equal(compileFilter({ mil: true }).test(pkt), true);
+  assert.equal(compileFilter({ mil: false }).test(pkt), false);
+});
+
+test("mil matches the DB flag outside military blocks", () => {
+  assert.equal(compileFilter({ mil: true }).test(packet("3c4b26", { mil: true })), true);
+  assert.equal(compileFilter({ mil: true }).test(packet("3c4b26")), false);
+  assert.equal(compileFilter({ mil: false }).test(packet("3c4b26")), true);
+});
+
+test("text regexes that backtrack badly are refused", () => {
+  for (const text of ["(a+)+$", "(\\w+\\s?)+$", "(a|ab)*c"]) {
+    assert.throws(() => compileFilter({ text }, { regex: true }), /not allowed/, text);
+  }
+  assert.doesNotThrow(() => compileFilter({ text: "MAYDAY|PAN ?PAN" }, { regex: true }));
+});
+
+test("a text regex only runs against the start of a long message", () => {
+  // \s+x passes the checks but is quadratic: uncapped this takes half a minute
+  const { test: match } = compileFilter({ text: "\\s+x" }, { regex: true });
+  const pkt = packet("3c4b26");
+  pkt.vdl2.avlc.acars.msg_text = `${" ".repeat(200_000)}x`;
+  assert.equal(match(pkt), false);
+  pkt.vdl2.avlc.acars.msg_text = `MAYDAY${" ".repeat(200_000)}`;
+  assert.equal(compileFilter({ text: "^MAYDAY" }, { regex: true }).test(pkt), true);
+});
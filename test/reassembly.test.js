@@ -0,0 +1,68 @@
+// reassembly.test.js — createReassembler(): multi-block ACARS messages
+// Run with: node --test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createReassembler } from "../reassembly.js";
+
+// One ACARS block of message M01 from 3C4B26
+function block(seq, blk, text, more) {
+  return {
+    hex: "3c4b26",
+    vdl2: { avlc: { acars: { flight: "LH0400", label: "H1", msg_num: "M01", msg_num_seq: seq, blk_id: blk, msg_text: text, more } } },
+  };
+}
+
+function reassemble(...blocks) {
+  const out = [];
+  const r = createReassembler({ emit: (pkt) => out.push(pkt), timeoutMs: 60_000 });
+  for (const b of blocks) r.push(b);
+  r.flush();
+  return out.map((p) => p.vdl2.avlc.acars);
+}
+
+test("contiguous blocks are combined and complete", () => {
+  const [msg, ...rest] = reassemble(block("A", "1", "part1 ", true), block("B", "2", "part2 ", true), block("C", "3", "part3", false));
+  assert.equal(rest.length, 0);
+  assert.equal(msg.msg_text, "part1 part2 part3");
+  assert.deepEqual(msg.reassembly, { blocks: 3, partial: false, seqs: ["A1", "B2", "C3"] });
+});
+
+test("blocks arriving out of order are put back in order", () => {
+  const [msg] = reassemble(block("B", "2", "part2", true), block("A", "1", "part1 ", true), block("C", "3", "", false));
+  assert.equal(msg.msg_text, "part1 part2");
+  assert.equal(msg.reassembly.partial, false);
+});
+
+test("a missing middle block marks the message partial", () => {
+  const [msg] = reassemble(block("A", "1", "part1 ", true), block("C", "3", "part3", false));
+  assert.equal(msg.msg_text, "part1 part3");
+  assert.equal(msg.reassembly.partial, true);
+});
+
+test("a missing first block marks the message partial", () => {
+  const [msg] = reassemble(block("B", "2", "part2 ", true), block("C", "3", "part3", false));
+  assert.equal(msg.reassembly.partial, true);
+});
+
+test("a final block arriving on its own is partial", () => {
+  const [msg] = reassemble(block("C", "3", "part3", false));
+  assert.equal(msg.msg_text, "part3");
+  assert.deepEqual(msg.reassembly, { blocks: 1, partial: true, seqs: ["C3"] });
+});
+
+test("a single-block message passes through untouched", () => {
+  const [msg] = reassemble(block("A", "1", "hello", false));
+  assert.equal(msg.msg_text, "hello");
+  assert.equal(msg.reassembly, undefined);
+});
+
+test("without sequence letters, block ID gaps mark the message partial", () => {
+  assert.equal(reassemble(block("", "1", "a", true), block("", "3", "c", false))[0].reassembly.partial, true);
+  assert.equal(reassemble(block("", "1", "a", true), block("", "2", "b", false))[0].reassembly.partial, false);
+});
+
+test("a group that never gets its final block is flushed as partial", () => {
+  const [msg] = reassemble(block("A", "1", "part1", true));
+  assert.equal(msg.reassembly.partial, true);
+});
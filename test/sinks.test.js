@@ -0,0 +1,100 @@
+// sinks.test.js — MQTT sinks against a minimal in-process broker
+// Run with: node --test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import express from "express";
+import { createSinkManager } from "../sinks.js";
+
+function tmpFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sinks-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "sinks.json");
+}
+
+// Accepts connections, answers every CONNECT with CONNACK(rc) and hands each
+// (type, packet bytes) to onPacket(socket, ...)
+function startBroker(onPacket, rc = 0) {
+  const server = net.createServer((socket) => {
+    let buf = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      while (buf.length >= 2 && buf.length >= 2 + buf[1]) { // test packets stay under 128 bytes
+        const packet = buf.subarray(0, 2 + buf[1]);
+        buf = buf.subarray(packet.length);
+        if (packet[0] === 0x10) socket.write(Buffer.from([0x20, 2, 0, rc]));
+        onPacket(socket, packet[0] & 0xf0, packet);
+      }
+    });
+    socket.on("error", () => {});
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+// Resolves with the next value pushed into the queue
+function queue() {
+  const items = [];
+  const waiters = [];
+  return {
+    push(item) { waiters.length ? waiters.shift()(item) : items.push(item); },
+    next() { return items.length ? Promise.resolve(items.shift()) : new Promise((resolve) => waiters.push(resolve)); },
+  };
+}
+
+test("MQTT sink sends CONNECT with credentials and reconnects after the broker drops it", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const packets = queue();
+  const broker = await startBroker((socket, type, packet) => packets.push({ socket, type, packet }));
+  t.after(() => broker.close());
+
+  const file = tmpFile(t);
+  fs.writeFileSync(file, JSON.stringify([{
+    id: "s1", name: "broker", type: "mqtt", url: `mqtt://u:p@127.0.0.1:${broker.address().port}`,
+    topic: "vdl2/{hex}", clientId: "vdl2-test", keepaliveSec: 0,
+  }]));
+  const sinks = createSinkManager({ file });
+  t.after(() => sinks.close());
+
+  const connect = Buffer.concat([
+    Buffer.from([0x10, 27, 0, 4]), Buffer.from("MQTT"),
+    Buffer.from([4, 0xc2, 0, 0]),                   // level 4; user name, password, clean session; keepalive 0
+    Buffer.from([0, 9]), Buffer.from("vdl2-test"),
+    Buffer.from([0, 1]), Buffer.from("u"),
+    Buffer.from([0, 1]), Buffer.from("p"),
+  ]);
+  const first = await packets.next();
+  assert.deepEqual(first.packet, connect);
+
+  first.socket.destroy();
+  const second = await packets.next();                // after the 1s backoff
+  assert.deepEqual(second.packet, connect);
+  assert.notEqual(second.socket, first.socket);
+
+  // Packets are dropped until the CONNACK is in, so keep sending until one arrives
+  const pkt = { hex: "3c4b26", vdl2: { avlc: { src: { addr: "3C4B26", type: "Aircraft" } } } };
+  const sending = setInterval(() => sinks.publish(pkt), 20);
+  const publish = await packets.next();
+  clearInterval(sending);
+  assert.equal(publish.type, 0x30);
+  assert.equal(publish.packet.subarray(4, 4 + publish.packet.readUInt16BE(2)).toString(), "vdl2/3c4b26");
+});
+
+test("MQTT url with a password but no user name is rejected", async (t) => {
+  const app = express().use("/sinks", createSinkManager({ file: tmpFile(t) }).router);
+  const server = app.listen(0, "127.0.0.1");
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/sinks`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ name: "broker", type: "mqtt", url: "mqtt://:secret@127.0.0.1:1883" }),
+  });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /password but no user name/);
+});
@@ -0,0 +1,310 @@
+// unknowns.js — Registry of aircraft hexes with no aircraft.db match
+// One row per hex in aircraft.db's `unknown_aircraft` table: first/last seen,
+// message count, flights and registrations heard, the last few messages and
+// the country of the ICAO address block. Rows live in memory and changed ones
+// are written in a single transaction every few seconds (and by flush()).
+//
+// Operators review entries on the Unknown page: mark them reviewed or
+// ignored, add a note, or promote the hex into aircraft_overrides so the
+// next packet is enriched.
+// status: new → reviewed | ignored | promoted (set by POST /:hex/promote)
+
+import fs from "node:fs";
+import path from "node:path";
+import express from "express";
+import { icaoCountry, isMilitaryIcao, isValidIcao } from "./icao.js";
+import { normalizeHex } from "./util.js";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS unknown_aircraft (
+    icao       TEXT PRIMARY KEY,
+    first_seen TEXT NOT NULL,
+    last_seen  TEXT NOT NULL,
+    count      INTEGER NOT NULL DEFAULT 0,
+    flights    TEXT,                     -- JSON array, most recent last
+    regs       TEXT,                     -- JSON array, most recent last
+    samples    TEXT,                     -- JSON array of { ts, freq, label, flight, text, instance }
+    country    TEXT,                     -- ISO alpha-2 of the address block ('' for ICAO blocks)
+    status     TEXT NOT NULL DEFAULT 'new',
+    note       TEXT,
+    updated_at TEXT,
+    updated_by TEXT
+  );
+`;
+
+export const UNKNOWN_STATUSES = ["new", "reviewed", "ignored", "promoted"];
+const SORT_KEYS = ["last_seen", "first_seen", "count", "icao"];
+
+const FLUSH_MS = 10_000;
+const MAX_FLIGHTS = 20;
+const MAX_REGS = 5;
+const MAX_SAMPLES = 5;
+const SAMPLE_TEXT_MAX = 300;
+const LIST_LIMIT = 500;
+
+// Append `value` to a small most-recent-last list without duplicates
+function remember(list, value, max) {
+  if (!value) return list;
+  const out = list.filter((v) => v !== value);
+  out.push(value);
+  return out.slice(-max);
+}
+
+/* =========================
+   Legacy unknown_hex_*.log files
+   ========================= */
+// "2026-01-01T12:00:00.000Z abc123 — not found in DB" → Map hex → { first, last, lines }
+function readUnknownLogs(dir) {
+  const byHex = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => /^unknown_hex_\d{4}-\d{2}-\d{2}\.log$/.test(f)).sort();
+  } catch (_) {
+    return byHex;
+  }
+  for (const f of files) {
+    const text = fs.readFileSync(path.join(dir, f), "utf8");
+    for (const line of text.split("\n")) {
+      const [ts, hex] = line.split(" ");
+      if (!hex || !/^[0-9a-f]{6}$/.test(hex)) continue;
+      const e = byHex.get(hex) || { first: ts, last: ts, lines: 0 };
+      if (ts < e.first) e.first = ts;
+      if (ts > e.last) e.last = ts;
+      e.lines++;
+      byHex.set(hex, e);
+    }
+  }
+  return byHex;
+}
+
+/* =========================
+   Registry
+   ========================= */
+// aircraftDb: openAircraftDb() result (shares its SQLite handle and overrides)
+// legacyDir: where the old text logs were written, imported once into an empty table
+export function createUnknownRegistry({ aircraftDb, legacyDir = null }) {
+  const { db } = aircraftDb;
+
+  // The table (and aircraft.db's write mode) only comes with the first write
+  let stmt = null;
+  function writer() {
+    if (stmt) return stmt;
+    aircraftDb.writable();
+    db.exec(SCHEMA);
+    stmt = {
+      upsert: db.prepare(`
+        INSERT INTO unknown_aircraft (icao, first_seen, last_seen, count, flights, regs, samples, country, status, note, updated_at, updated_by)
+        VALUES (@icao, @first_seen, @last_seen, @count, @flights, @regs, @samples, @country, @status, @note, @updated_at, @updated_by)
+        ON CONFLICT(icao) DO UPDATE SET first_seen = excluded.first_seen, last_seen = excluded.last_seen,
+          count = excluded.count, flights = excluded.flights, regs = excluded.regs, samples = excluded.samples,
+          country = excluded.country, status = excluded.status, note = excluded.note,
+          updated_at = excluded.updated_at, updated_by = excluded.updated_by
+      `),
+      delete: db.prepare(`DELETE FROM unknown_aircraft WHERE icao = ?`),
+    };
+    return stmt;
+  }
+
+  const entries = new Map(); // icao -> entry (JSON columns parsed)
+  const dirty = new Set();
+
+  const hasTable = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'unknown_aircraft'`).get();
+  for (const row of hasTable ? db.prepare(`SELECT * FROM unknown_aircraft`).all() : []) {
+    entries.set(row.icao, {
+      ...row,
+      flights: JSON.parse(row.flights || "[]"),
+      regs: JSON.parse(row.regs || "[]"),
+      samples: JSON.parse(row.samples || "[]"),
+    });
+  }
+
+  const toRow = (e) => ({
+    ...e,
+    flights: JSON.stringify(e.flights),
+    regs: JSON.stringify(e.regs),
+    samples: JSON.stringify(e.samples),
+  });
+
+  const flush = () => {
+    if (!dirty.size) return;
+    const list = [...dirty];
+    dirty.clear();
+    try {
+      const { upsert } = writer();
+      db.transaction(() => {
+        for (const icao of list) {
+          const e = entries.get(icao);
+          if (e) upsert.run(toRow(e));
+        }
+      })();
+    } catch (err) {
+      console.error("❌ Failed to save unknown aircraft:", err.message);
+      for (const icao of list) dirty.add(icao);
+    }
+  };
+  setInterval(flush, FLUSH_MS).unref();
+
+  function newEntry(icao, ts) {
+    return {
+      icao, first_seen: ts, last_seen: ts, count: 0, flights: [], regs: [], samples: [],
+      country: icaoCountry(icao)?.iso ?? null, status: "new", note: null, updated_at: null, updated_by: null,
+    };
+  }
+
+  // One-time import of the text logs the server used to write
+  if (!entries.size && legacyDir) {
+    const legacy = readUnknownLogs(legacyDir);
+    for (const [icao, { first, last, lines }] of legacy) {
+      entries.set(icao, { ...newEntry(icao, first), last_seen: last, count: lines });
+      dirty.add(icao);
+    }
+    flush();
+    if (legacy.size) console.log(`❔ Imported ${legacy.size} unknown hex(es) from ${legacyDir}`);
+  }
+
+  // A packet from `hex` had no aircraft.db match; reserved addresses aren't aircraft
+  function record(hex, pkt) {
+    const icao = normalizeHex(hex);
+    if (!isValidIcao(icao)) return;
+    const vdl2 = pkt?.vdl2 || {};
+    const acars = vdl2.avlc?.acars;
+    const ts = vdl2.t?.sec ? new Date(vdl2.t.sec * 1000).toISOString() : new Date().toISOString();
+
+    let e = entries.get(icao);
+    if (!e) {
+      e = newEntry(icao, ts);
+      entries.set(icao, e);
+    }
+    if (ts < e.first_seen) e.first_seen = ts;
+    if (ts > e.last_seen) e.last_seen = ts;
+    e.count++;
+
+    const flight = (acars?.flight || "").trim();
+    const reg = (acars?.reg || "").replace(/^\.+/, "").trim();
+    e.flights = remember(e.flights, flight, MAX_FLIGHTS);
+    e.regs = remember(e.regs, reg, MAX_REGS);
+    e.samples = [...e.samples, {
+      ts,
+      freq: vdl2.freq ?? null,
+      label: acars?.label || null,
+      flight: flight || null,
+      text: acars?.msg_text ? acars.msg_text.slice(0, SAMPLE_TEXT_MAX) : null,
+      instance: pkt?.instance ?? null,
+    }].slice(-MAX_SAMPLES);
+    dirty.add(icao);
+  }
+
+  // Entry as the API returns it: country name, military address block and
+  // whether aircraft.db now knows the hex
+  const present = (e) => ({
+    ...e,
+    countryName: icaoCountry(e.icao)?.country ?? null,
+    military: isMilitaryIcao(e.icao),
+    known: !!aircraftDb.lookup(e.icao),
+  });
+
+  function update(icao, changes, username) {
+    const e = entries.get(icao);
+    Object.assign(e, changes, { updated_at: new Date().toISOString(), updated_by: username });
+    dirty.add(icao);
+    flush();
+    return present(e);
+  }
+
+  /* ---------- /api/aircraft-db/unknown routes ---------- */
+  const router = express.Router();
+  router.use(express.json());
+
+  const findEntry = (req, res) => {
+    const e = entries.get(normalizeHex(req.params.hex));
+    if (!e) res.status(404).json({ error: "Hex is not in the unknown registry" });
+    return e;
+  };
+
+  // ?status=new,reviewed&country=DE&q=abc&known=0&sort=count&limit=100
+  router.get("/", (req, res) => {
+    const statuses = req.query.status ? String(req.query.status).split(",") : null;
+    const bad = statuses?.find((s) => !UNKNOWN_STATUSES.includes(s));
+    if (bad) return res.status(400).json({ error: `Unknown status '${bad}', expected ${UNKNOWN_STATUSES.join(", ")}` });
+    const sort = (req.query.sort || "last_seen").toString();
+    if (!SORT_KEYS.includes(sort)) return res.status(400).json({ error: `'sort' must be one of: ${SORT_KEYS.join(", ")}` });
+    const country = req.query.country ? String(req.query.country).toUpperCase() : null;
+    const q = (req.query.q || "").toString().trim().toLowerCase();
+    const limit = Math.min(Math.max(Number(req.query.limit) || LIST_LIMIT, 1), 5000);
+
+    const countries = {};
+    let rows = [];
+    for (const e of entries.values()) {
+      if (statuses && !statuses.includes(e.status)) continue;
+      const iso = e.country ?? "";
+      countries[iso] ??= { iso, country: icaoCountry(e.icao)?.country ?? null, count: 0 };
+      countries[iso].count++;
+      if (country !== null && iso !== (country === "-" ? "" : country)) continue;
+      if (q && ![e.icao, e.note || "", ...e.flights, ...e.regs].some((v) => v.toLowerCase().includes(q))) continue;
+      rows.push(e);
+    }
+    rows = rows.map(present);
+    if (req.query.known !== undefined) rows = rows.filter((e) => e.known === ["1", "true"].includes(req.query.known));
+
+    rows.sort(sort === "count" ? (a, b) => b.count - a.count
+      : sort === "icao" ? (a, b) => a.icao.localeCompare(b.icao)
+      : (a, b) => b[sort].localeCompare(a[sort]));
+    res.json({
+      total: rows.length,
+      rows: rows.slice(0, limit),
+      countries: Object.values(countries).sort((a, b) => b.count - a.count),
+    });
+  });
+
+  router.get("/:hex", (req, res) => {
+    const e = findEntry(req, res);
+    if (e) res.json({ ...present(e), aircraft: aircraftDb.lookup(e.icao) });
+  });
+
+  // { status?, note? }; "promoted" is only set by the promote action
+  router.put("/:hex", (req, res) => {
+    const e = findEntry(req, res);
+    if (!e) return;
+    const { status, note } = req.body || {};
+    const changes = {};
+    if (status !== undefined) {
+      if (!UNKNOWN_STATUSES.includes(status) || status === "promoted") {
+        return res.status(400).json({ error: "'status' must be one of: new, reviewed, ignored" });
+      }
+      changes.status = status;
+    }
+    if (note !== undefined) {
+      const text = (note ?? "").toString().trim();
+      if (text.length > 500) return res.status(400).json({ error: "'note' is too long (max 500)" });
+      changes.note = text || null;
+    }
+    if (!Object.keys(changes).length) return res.status(400).json({ error: "Give status and/or note" });
+    res.json(update(e.icao, changes, req.user?.username ?? null));
+  });
+
+  // Body as for PUT /api/aircraft-db/overrides/:hex; the entry's note is used when none is given
+  router.post("/:hex/promote", (req, res) => {
+    const e = findEntry(req, res);
+    if (!e) return;
+    const username = req.user?.username ?? null;
+    let override;
+    try {
+      override = aircraftDb.saveOverride(e.icao, { note: e.note, ...req.body }, username);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.log(`❔ Promoted unknown ${e.icao} to a local override`);
+    res.json({ ...update(e.icao, { status: "promoted" }, username), override });
+  });
+
+  router.delete("/:hex", (req, res) => {
+    const e = findEntry(req, res);
+    if (!e) return;
+    entries.delete(e.icao);
+    dirty.delete(e.icao);
+    writer().delete.run(e.icao);
+    res.json({ deleted: e.icao });
+  });
+
+  return { record, flush, router, size: () => entries.size };
+}
@@ -0,0 +1,50 @@
+// util.js — Small helpers shared by the server modules
+
+export const pad2 = (n) => n.toString().padStart(2, "0");
+
+export const dateStamp = (d = new Date()) =>
+  `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+// Normalize ICAO to your DB style: 6 chars, lowercase, zero-padded
+export function normalizeHex(raw) {
+  return (raw ?? "")
+    .toString()
+    .trim()
+    .replace(/[^0-9a-fA-F]/g, "")
+    .padStart(6, "0")
+    .toLowerCase();
+}
+
+// AVLC address types as dumpvdl2 prints them
+const AIRCRAFT = "Aircraft";
+const GROUND_STATION = "Ground station";
+
+// Which way a frame travelled and which address is the aircraft / ground side.
+// direction: "downlink" (air-to-ground), "uplink" (ground-to-air) or "unknown"
+export function classifyFrame(avlc) {
+  const src = avlc?.src || {};
+  const dst = avlc?.dst || {};
+  if (src.type === GROUND_STATION) {
+    return {
+      direction: "uplink",
+      aircraft: dst.type === AIRCRAFT ? dst.addr : null, // null for broadcasts (e.g. GSIF)
+      ground: src.addr ?? null,
+    };
+  }
+  if (src.type === AIRCRAFT) {
+    return {
+      direction: "downlink",
+      aircraft: src.addr ?? null,
+      ground: dst.type === GROUND_STATION ? dst.addr : null,
+    };
+  }
+  return { direction: "unknown", aircraft: src.addr ?? null, ground: null };
+}
+
+// Aircraft hex of a packet: the server-enriched `hex` field when present
+// (older log lines predate it), otherwise derived from the AVLC addresses
+export function packetHex(pkt) {
+  if (typeof pkt?.hex === "string") return pkt.hex;
+  const { aircraft } = classifyFrame(pkt?.vdl2?.avlc);
+  return aircraft ? normalizeHex(aircraft) : "";
+}